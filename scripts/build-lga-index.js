@@ -0,0 +1,31 @@
+// Regenerate src/data/locality-lga.csv from the ABS locality (SAL) to LGA
+// correspondence, e.g. CG_SAL_2021_LGA_2021.csv from the ASGS Edition 3
+// correspondences download. The output keeps one LGA per locality in the
+// suburb,state,lga shape the offline resolver bundles:
+//
+//   npm run build:lga-index -- CG_SAL_2021_LGA_2021.csv
+//   npm run build:lga-index -- CG_SAL_2021_LGA_2021.csv out.csv
+import { readFileSync, writeFileSync } from 'node:fs'
+import Papa from 'papaparse'
+import { selectLgaRows } from '../src/lib/lga-resolver.js'
+
+const [sourcePath, outputPath = new URL('../src/data/locality-lga.csv', import.meta.url)] = process.argv.slice(2)
+
+if (!sourcePath) {
+  console.error('Usage: npm run build:lga-index -- <ABS SAL to LGA correspondence CSV> [output CSV]')
+  process.exit(1)
+}
+
+const { data } = Papa.parse(readFileSync(sourcePath, 'utf8').replace(/^\uFEFF/, ''), { header: true, skipEmptyLines: true })
+const rows = selectLgaRows(data)
+  .filter(row => row.state)
+  .map(({ suburb, state, lga }) => ({ suburb, state, lga }))
+  .sort((a, b) => a.state.localeCompare(b.state) || a.suburb.localeCompare(b.suburb))
+
+if (rows.length === 0) {
+  console.error(`No localities found in ${sourcePath}; expected SAL_CODE_2021, SAL_NAME_2021 and LGA_NAME_2021 columns`)
+  process.exit(1)
+}
+
+writeFileSync(outputPath, Papa.unparse(rows, { newline: '\n' }) + '\n')
+console.log(`Wrote ${rows.length} localities to ${outputPath}`)
@@ -0,0 +1,97 @@
+// Run the LGA providers against the mock server and check every locality in the
+// table resolves to its LGA. The app's modules are loaded through Vite so the @/
+// imports resolve as in the browser; requests go through the providers' fetchImpl
+// so the check can see what was sent.
+//
+//   npm run check:lga                 # src/data/locality-lga.csv
+//   npm run check:lga -- my.csv       # any suburb,state,postcode,lga table
+import { createServer as createViteServer } from 'vite'
+import { DEFAULT_TABLE_PATH, createMockLgaServer, loadMockEntries } from './mock-lga-server.js'
+
+const entries = loadMockEntries(process.argv[2] || DEFAULT_TABLE_PATH)
+const mockServer = createMockLgaServer(entries)
+await new Promise(resolve => mockServer.listen(0, resolve))
+const baseUrl = `http://localhost:${mockServer.address().port}`
+
+const vite = await createViteServer({
+  root: new URL('..', import.meta.url).pathname,
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+  logLevel: 'error'
+})
+
+const failures = []
+const check = (condition, message) => {
+  if (!condition) failures.push(message)
+}
+
+try {
+  const { createHttpProvider, createNominatimProvider, createOfflineProvider, lookupWithProviders } =
+    await vite.ssrLoadModule('/src/lib/lga-providers.js')
+  const { buildLgaIndex } = await vite.ssrLoadModule('/src/lib/lga-resolver.js')
+
+  const requests = []
+  const recordingFetch = (url, init) => {
+    requests.push({ url: new URL(url), headers: init?.headers || {} })
+    return fetch(url, init)
+  }
+  const failingFetch = async () => new Response('', { status: 500 })
+
+  const providers = [
+    createHttpProvider({ baseUrl, fetchImpl: recordingFetch }),
+    createNominatimProvider({ baseUrl: `${baseUrl}/`, fetchImpl: recordingFetch })
+  ]
+
+  for (const provider of providers) {
+    for (const entry of entries) {
+      // Both query shapes: by postcode when there is one, and by state
+      const queries = [
+        { suburb: entry.suburb, state: entry.state, postcode: entry.postcode },
+        { suburb: entry.suburb, state: entry.state, postcode: '' }
+      ].filter((query, i) => i === 1 || query.postcode)
+      for (const query of queries) {
+        const lga = await provider.lookup(query)
+        check(lga === entry.lga, `${provider.label}: ${query.suburb} ${query.postcode || query.state} gave ${lga}, expected ${entry.lga}`)
+      }
+    }
+    const unknown = await provider.lookup({ suburb: 'Nowhere In Particular', state: 'NSW', postcode: '' })
+    check(unknown === null, `${provider.label}: unknown suburb gave ${unknown}, expected null`)
+  }
+
+  const request = requests[0]
+  check(request?.url.pathname === '/search', `requests should go to /search, got ${request?.url.pathname}`)
+  check(request?.url.searchParams.get('format') === 'json', 'requests should ask for format=json')
+  check(request?.url.searchParams.get('countrycodes') === 'au', 'requests should be limited to countrycodes=au')
+  check(Boolean(request?.headers['User-Agent']), 'requests should send a User-Agent')
+
+  // A provider that fails is skipped in favour of the next one (it logs a warning)
+  const [sample] = entries
+  if (sample) {
+    const broken = createHttpProvider({ baseUrl, fetchImpl: failingFetch })
+    const working = createHttpProvider({ baseUrl, fetchImpl: recordingFetch })
+    const result = await lookupWithProviders([broken, working], sample)
+    check(result.lga === sample.lga && result.provider === working, 'lookupWithProviders should fall through a failing provider')
+  }
+
+  // The offline provider answers from the same table without any requests
+  const index = buildLgaIndex(entries)
+  const offline = createOfflineProvider({ getIndex: async () => index })
+  const requestCount = requests.length
+  for (const entry of entries) {
+    const lga = await offline.lookup(entry)
+    check(lga === entry.lga, `${offline.label}: ${entry.suburb} gave ${lga}, expected ${entry.lga}`)
+  }
+  check(requests.length === requestCount, 'the offline provider should not make requests')
+
+  console.log(`Checked ${entries.length} localities against ${providers.length + 1} providers (${requests.length} requests)`)
+} finally {
+  await vite.close()
+  mockServer.close()
+}
+
+if (failures.length > 0) {
+  failures.forEach(failure => console.error(`✗ ${failure}`))
+  process.exitCode = 1
+} else {
+  console.log('All LGA provider checks passed')
+}
@@ -0,0 +1,63 @@
+// Local stand-in for Nominatim's /search endpoint, answering from a
+// suburb,state,postcode,lga CSV. Point the "Local HTTP server" LGA provider at it
+// to exercise lookups without network access:
+//
+//   npm run mock:lga                      # serves src/data/locality-lga.csv on :8787
+//   PORT=9000 npm run mock:lga -- my.csv  # custom table and port
+//
+// scripts/check-lga-providers.js imports createMockLgaServer to test the providers.
+import { createServer } from 'node:http'
+import { readFileSync } from 'node:fs'
+import { pathToFileURL } from 'node:url'
+import Papa from 'papaparse'
+
+export const DEFAULT_TABLE_PATH = new URL('../src/data/locality-lga.csv', import.meta.url)
+
+const normalize = (value) => String(value || '').toLowerCase().replace(/\s*\(.*\)\s*$/, '').trim()
+
+export const loadMockEntries = (tablePath = DEFAULT_TABLE_PATH) => {
+  const { data } = Papa.parse(readFileSync(tablePath, 'utf8'), {
+    header: true,
+    skipEmptyLines: true,
+    transformHeader: header => header.trim().toLowerCase(),
+    transform: value => value.trim()
+  })
+  return data.map(entry => ({ suburb: '', state: '', postcode: '', lga: '', ...entry }))
+}
+
+// Queries look like "Paddington, 4064, Australia" or "Paddington, QLD, Australia"
+const findEntry = (entries, query) => {
+  const [suburb, area] = query.split(',').map(part => part.trim())
+  return entries.find(entry => normalize(entry.suburb) === normalize(suburb) &&
+    (entry.postcode === area || entry.state.toLowerCase() === String(area).toLowerCase()))
+}
+
+export const createMockLgaServer = (entries) => createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost')
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Headers', '*')
+  res.setHeader('Content-Type', 'application/json')
+
+  if (req.method === 'OPTIONS') {
+    res.end()
+    return
+  }
+  if (url.pathname !== '/search') {
+    res.statusCode = 404
+    res.end(JSON.stringify({ error: 'Not found' }))
+    return
+  }
+
+  const entry = findEntry(entries, url.searchParams.get('q') || '')
+  res.end(JSON.stringify(entry
+    ? [{ display_name: `${entry.suburb}, ${entry.state}`, address: { municipality: entry.lga, state: entry.state, postcode: entry.postcode } }]
+    : []))
+})
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787
+  const entries = loadMockEntries(process.argv[2] || DEFAULT_TABLE_PATH)
+  createMockLgaServer(entries).listen(port, () => {
+    console.log(`Mock LGA server listening on http://localhost:${port} (${entries.length} localities)`)
+  })
+}
@@ -1,382 +1,764 @@
-import { useState, useCallback } from 'react'
-import Papa from 'papaparse'
-import * as XLSX from 'xlsx'
+import { useState, useCallback, useEffect, useMemo, useRef } from 'react'
 import { DragDropContext, Droppable, Draggable } from '@hello-pangea/dnd'
 import { Button } from '@/components/ui/button.jsx'
 import { Input } from '@/components/ui/input.jsx'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
 import { Badge } from '@/components/ui/badge.jsx'
-import { Upload, Download, Eye, Settings, FileText, GripVertical, FileSpreadsheet } from 'lucide-react'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '@/components/ui/dropdown-menu.jsx'
+import { Toaster } from '@/components/ui/sonner.jsx'
+import { toast } from 'sonner'
+import ColumnTypeEditor from '@/components/column-type-editor.jsx'
+import LgaCacheManager from '@/components/lga-cache-manager.jsx'
+import LgaProgress from '@/components/lga-progress.jsx'
+import LgaReview from '@/components/lga-review.jsx'
+import PresetManager from '@/components/preset-manager.jsx'
+import DataGrid from '@/components/data-grid.jsx'
+import TaskProgress from '@/components/task-progress.jsx'
+import RuleBuilder from '@/components/rule-builder.jsx'
+import SortConfig from '@/components/sort-config.jsx'
+import CalculatedColumns from '@/components/calculated-columns.jsx'
+import ScoringPanel from '@/components/scoring-panel.jsx'
+import ConditionalFormatEditor from '@/components/conditional-format-editor.jsx'
+import PdfExportPanel from '@/components/pdf-export-panel.jsx'
+import ImageExportPanel from '@/components/image-export-panel.jsx'
+import DataExportPanel from '@/components/data-export-panel.jsx'
+import { COLUMN_TYPES, DEFAULT_COLUMN_TYPES, getColumnType, getTypeHint } from '@/lib/column-types'
+import { describeConfidence, inferColumnTypes } from '@/lib/type-inference'
+import { ACCEPTED_EXTENSIONS, isWorkbookFile } from '@/lib/file-import'
+import { runTableTask } from '@/lib/table-worker-client'
+import { downloadFile } from '@/lib/download'
+import { copyRichText } from '@/lib/clipboard'
+import { buildLgaIndex, loadBundledLgaIndex, mergeLgaIndexes, parseCorrespondenceCsv } from '@/lib/lga-resolver'
+import { DEFAULT_LOCAL_SERVER_URL, FALLBACK_PROVIDERS, createOfflineProvider, loadLgaSettings, lookupWithProviders, saveLgaSettings } from '@/lib/lga-providers'
+import { clearLgaCache, deleteCorrespondenceTable, deleteLgaCacheEntry, deleteLgaOverride, getLgaCacheKey, isCacheEntryExpired, loadCorrespondenceTable, loadLgaCache, loadLgaOverrides, saveCorrespondenceTable, saveLgaCacheEntries, saveLgaOverride } from '@/lib/lga-cache'
+import { buildLgaReview, getRowLocation } from '@/lib/lga-review'
+import { sortRows } from '@/lib/table-query'
+import { createScoreApplier, describeScoring, getScoreColumnTypes, getScoreColumns, isScoringEnabled, loadScoringConfig, saveScoringConfig } from '@/lib/scoring'
+import { applyCalculatedColumns, compileCalculatedColumns, createCalculatedColumn, findColumnConflicts, getCalculatedColumnTypes, loadCalculatedColumns, renameCalculatedColumn, saveCalculatedColumns } from '@/lib/calculated-columns'
+import { buildCellStyler, loadFormatRules, saveFormatRules } from '@/lib/conditional-format'
+import { loadPdfLayout, savePdfLayout } from '@/lib/pdf-report'
+import { svgToPngBlob } from '@/lib/table-image'
+import { TEXT_TABLE_FORMATS } from '@/lib/text-tables'
+import { createRuleGroup, createRuleSet, filterRowsByRules, loadRuleSets, saveRuleSets } from '@/lib/row-rules'
+import { applyPreset, createPreset, findMatchingPreset, loadPresets, savePresets } from '@/lib/presets'
+import { Upload, Download, Eye, Settings, FileText, GripVertical, FileSpreadsheet, ImageDown, MapPin, Database, ClipboardCheck, ClipboardCopy, FileCode, FileDown } from 'lucide-react'
 import './App.css'
 
+// How often resolved LGAs are written into the table during a batch lookup
+const LGA_FLUSH_INTERVAL_MS = 250
+
+// Define column priority order
+const priorityColumns = [
+  'Suburb',
+  'State',
+  'LGA',
+  'Owner Occupier',
+  'Vacancy Rate',
+  'Growth (12MTHS)',
+  '5-Year Sale Price Growth',
+  '10-Year Sale Price Growth',
+  'DOM',
+  'Median Weekly Rent',
+  'Suburb $ Median',
+  'Rental Yield'
+]
+
+// Calculate Median Weekly Rent from annual rental yield and property price
+const calculateMedianWeeklyRent = (row) => {
+  const propertyPrice = parseFloat(row['Suburb $ Median']) || 0
+  const rentalYield = parseFloat(row['Rental Yield']) || 0
+  
+  if (propertyPrice > 0 && rentalYield > 0) {
+    const annualRent = propertyPrice * rentalYield
+    const weeklyRent = annualRent / 52
+    return Math.round(weeklyRent)
+  }
+  return 0
+}
+
+// Sort headers with priority columns first
+const sortHeaders = (headers) => {
+  const prioritySet = new Set(priorityColumns)
+  const priority = headers.filter(h => prioritySet.has(h))
+  const others = headers.filter(h => !prioritySet.has(h))
+  
+  // Sort priority columns according to priorityColumns order
+  const sortedPriority = priorityColumns.filter(col => priority.includes(col))
+  
+  return [...sortedPriority, ...others.sort()]
+}
+
+// Every column the table offers: the file's and calculated columns, then Score and
+// Rank when scoring is on
+const getTableHeaders = (columns, scoringConfig) => {
+  const { score, rank } = getScoreColumns(columns)
+  return [...new Set([...columns, ...(isScoringEnabled(scoringConfig) ? [score, rank] : [])])]
+}
+
 function App() {
   const [csvData, setCsvData] = useState(null)
   const [headers, setHeaders] = useState([])
   const [selectedColumns, setSelectedColumns] = useState([])
   const [columnRenames, setColumnRenames] = useState({})
-  const [tableData, setTableData] = useState([])
   const [fileName, setFileName] = useState('')
   const [lgaCache, setLgaCache] = useState(new Map())
-  const [isLoadingLGA, setIsLoadingLGA] = useState(false)
-
-  // Define column priority order
-  const priorityColumns = [
-    'Suburb',
-    'State',
-    'LGA',
-    'Owner Occupier',
-    'Vacancy Rate',
-    'Growth (12MTHS)',
-    '5-Year Sale Price Growth',
-    '10-Year Sale Price Growth',
-    'DOM',
-    'Median Weekly Rent',
-    'Suburb $ Median',
-    'Rental Yield'
-  ]
-
-  // Define percentage fields (shown as decimals in CSV)
-  const percentageFields = [
-    'Growth (12MTHS)',
-    'Growth (10Y Ave)',
-    'Rental Yield',
-    'Vacancy Rate',
-    'Owner Occupier',
-    'Social Housing',
-    'Market Absorption',
-    'IQR % Median',
-    'Build. Approvals',
-    'Pop. Growth (5Y)',
-    'SA2 1-Year Population Growth',
-    'SA2 3-Year Population Growth',
-    'SA2 5-Year Population Growth',
-    'SA2 10-Year Population Growth',
-    'SA3 1-Year Population Growth',
-    'SA3 3-Year Population Growth',
-    'SA3 5-Year Population Growth',
-    'SA3 10-Year Population Growth',
-    '3-Year Median Sale Price CAGR',
-    '5-Year Median Sale Price CAGR',
-    '10-Year Median Sale Price CAGR',
-    '3-Year Sale Price Growth',
-    '5-Year Sale Price Growth',
-    '10-Year Sale Price Growth',
-    '12-Month Sale Price Growth'
-  ]
-
-  // Define currency fields
-  const currencyFields = [
-    'Suburb $ Median',
-    'Median Income',
-    'Median Weekly Rent'
-  ]
-
-  // Define number fields (formatted with comma separators)
-  const numberFields = [
-    'Population',
-    'Property Count',
-    'Total Property Count',
-    'SA2 Estimated Resident Population',
-    'Sales Volume',
-    'Build. Approvals'
-  ]
+  const lgaCacheRef = useRef(lgaCache)
+  const [lgaOverrides, setLgaOverrides] = useState(new Map())
+  const lgaOverridesRef = useRef(lgaOverrides)
+  const [bundledLgaIndex, setBundledLgaIndex] = useState(null)
+  const [showLgaReview, setShowLgaReview] = useState(false)
+  const [presets, setPresets] = useState(loadPresets)
+  const [activePresetId, setActivePresetId] = useState(null)
+  const [rowRules, setRowRules] = useState(createRuleGroup)
+  const [ruleSets, setRuleSets] = useState(loadRuleSets)
+  const [sortKeys, setSortKeys] = useState([])
+  const [lgaProgress, setLgaProgress] = useState(null)
+  const cancelLookupRef = useRef(false)
+  const lookupRunRef = useRef(0)
+  const [workbook, setWorkbook] = useState(null)
+  const [tableTask, setTableTask] = useState(null)
+  const [calculatedColumns, setCalculatedColumns] = useState(loadCalculatedColumns)
+  const [columnTypes, setColumnTypes] = useState(() => ({
+    ...DEFAULT_COLUMN_TYPES,
+    ...getCalculatedColumnTypes(calculatedColumns)
+  }))
+  const [scoringConfig, setScoringConfig] = useState(loadScoringConfig)
+  const [applyScores] = useState(createScoreApplier)
+  const [formatRules, setFormatRules] = useState(loadFormatRules)
+  const [typeSuggestions, setTypeSuggestions] = useState({})
+  const [customLgaIndex, setCustomLgaIndex] = useState(null)
+  const [customLgaTableName, setCustomLgaTableName] = useState('')
+  const [correspondenceError, setCorrespondenceError] = useState('')
+  const [lgaSettings, setLgaSettings] = useState(loadLgaSettings)
+  const [showCacheManager, setShowCacheManager] = useState(false)
+  const [showPdfOptions, setShowPdfOptions] = useState(false)
+  const [pdfLayout, setPdfLayout] = useState(loadPdfLayout)
+  const [showImageOptions, setShowImageOptions] = useState(false)
+  const [showDataExport, setShowDataExport] = useState(false)
+
+  // Parsing, formatting and workbook building run in the table worker; its
+  // progress drives the task bar
+  const runTask = useCallback(async (type, payload) => {
+    try {
+      return await runTableTask(type, payload, setTableTask)
+    } finally {
+      setTableTask(null)
+    }
+  }, [])
+
+  // Lookups read the ref so entries cached earlier in a running batch are reused;
+  // the state copy drives the cache manager
+  const updateLgaCache = useCallback((update) => {
+    const next = update(new Map(lgaCacheRef.current))
+    lgaCacheRef.current = next
+    setLgaCache(next)
+  }, [])
+
+  // Restore the persisted LGA cache from previous sessions
+  useEffect(() => {
+    loadLgaCache()
+      .then(entries => updateLgaCache(cache => {
+        // Keep anything resolved while the stored cache was loading
+        entries.forEach(entry => {
+          if (!cache.has(entry.key)) cache.set(entry.key, entry)
+        })
+        return cache
+      }))
+      .catch(error => console.warn('Failed to load LGA cache:', error))
+    loadLgaOverrides()
+      .then(entries => {
+        const overrides = new Map(entries.map(entry => [entry.key, entry]))
+        lgaOverridesRef.current = overrides
+        setLgaOverrides(overrides)
+      })
+      .catch(error => console.warn('Failed to load LGA overrides:', error))
+    loadBundledLgaIndex()
+      .then(setBundledLgaIndex)
+      .catch(error => console.warn('Failed to load LGA correspondence table:', error))
+    loadCorrespondenceTable()
+      .then(table => {
+        if (!table) return
+        setCustomLgaIndex(buildLgaIndex(table.entries))
+        setCustomLgaTableName(table.name)
+      })
+      .catch(error => console.warn('Failed to load saved correspondence table:', error))
+  }, [updateLgaCache])
+
+  // Store resolved entries in memory and in IndexedDB
+  const cacheLGA = useCallback((entries, { timestamp = true } = {}) => {
+    const stamped = timestamp ? entries.map(entry => ({ ...entry, updatedAt: Date.now() })) : entries
+    updateLgaCache(cache => {
+      stamped.forEach(entry => cache.set(entry.key, entry))
+      return cache
+    })
+    saveLgaCacheEntries(stamped).catch(error => console.warn('Failed to persist LGA cache:', error))
+  }, [updateLgaCache])
+
+  // Write the LGA into every loaded row for one suburb
+  const setRowsLGA = (key, lga) => {
+    setCsvData(prev => prev && prev.map(row => {
+      const { suburb, state, postcode } = getRowLocation(row)
+      return suburb && getLgaCacheKey(suburb, state, postcode) === key ? { ...row, 'LGA': lga } : row
+    }))
+  }
+
+  // Manual corrections take precedence over every provider and persist across sessions
+  const handleLgaOverride = ({ key, suburb, state, postcode }, lga) => {
+    const entry = { key, suburb, state, postcode, lga, source: 'manual', updatedAt: Date.now() }
+    const overrides = new Map(lgaOverridesRef.current).set(key, entry)
+    lgaOverridesRef.current = overrides
+    setLgaOverrides(overrides)
+    saveLgaOverride(entry).catch(error => console.warn('Failed to persist LGA override:', error))
+    cacheLGA([entry])
+    setRowsLGA(key, lga)
+  }
+
+  // Drop a correction; affected rows go back to pending so a resumed lookup refills them
+  const handleResetOverride = ({ key }) => {
+    const overrides = new Map(lgaOverridesRef.current)
+    overrides.delete(key)
+    lgaOverridesRef.current = overrides
+    setLgaOverrides(overrides)
+    deleteLgaOverride(key).catch(error => console.warn('Failed to delete LGA override:', error))
+    handleCacheDelete(key)
+    setRowsLGA(key, '')
+  }
+
+  // Edits stay in the cache (and go with "Clear cache"); only a suburb that already
+  // has a manual correction updates the correction, as that would win otherwise
+  const handleCacheEdit = (key, lga) => {
+    const entry = lgaCacheRef.current.get(key)
+    if (lgaOverridesRef.current.has(key)) {
+      handleLgaOverride(entry, lga)
+      return
+    }
+    cacheLGA([{ ...entry, lga, source: 'edited' }])
+    setRowsLGA(key, lga)
+  }
+
+  const handleCacheDelete = (key) => {
+    updateLgaCache(cache => {
+      cache.delete(key)
+      return cache
+    })
+    deleteLgaCacheEntry(key).catch(error => console.warn('Failed to delete LGA cache entry:', error))
+  }
+
+  const handleCacheClear = () => {
+    updateLgaCache(() => new Map())
+    clearLgaCache().catch(error => console.warn('Failed to clear LGA cache:', error))
+  }
 
   // LGA Lookup Service - Enhanced to work with Suburb + State OR Suburb + Postcode
-  const lookupLGA = async (suburb, state, postcode) => {
-    if (!suburb || (!state && !postcode)) return 'N/A'
+  // Tries each provider in order (offline table first) and reports the answering
+  // provider's rate limit so the batch only waits between real API calls.
+  const lookupLGA = useCallback(async (suburb, state, postcode, providers) => {
+    if (!suburb || (!state && !postcode)) return { lga: 'N/A', rateLimitMs: 0 }
     
     // Create cache key based on available data
-    const cacheKey = state 
-      ? `${suburb.toLowerCase()}-${state.toLowerCase()}`
-      : `${suburb.toLowerCase()}-${postcode}`
+    const cacheKey = getLgaCacheKey(suburb, state, postcode)
     
-    // Check cache first
-    if (lgaCache.has(cacheKey)) {
-      return lgaCache.get(cacheKey)
+    // Manual corrections win, then the cache
+    const override = lgaOverridesRef.current.get(cacheKey)
+    if (override) {
+      return { lga: override.lga, rateLimitMs: 0 }
     }
     
-    try {
-      // Use OpenStreetMap Nominatim API for Australian LGA lookup
-      // Prefer postcode-based lookup for accuracy, fallback to state
-      const query = postcode 
-        ? `${suburb}, ${postcode}, Australia`
-        : `${suburb}, ${state}, Australia`
-        
-      const response = await fetch(
-        `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&countrycodes=au&addressdetails=1&limit=1`,
-        {
-          headers: {
-            'User-Agent': 'CSV-Table-Formatter/1.0'
-          }
-        }
-      )
-      
-      if (!response.ok) throw new Error('API request failed')
-      
-      const data = await response.json()
-      
-      if (data && data.length > 0 && data[0].address) {
-        // Extract LGA from various possible fields
-        const address = data[0].address
-        const lga = address.city_district || 
-                   address.county || 
-                   address.municipality || 
-                   address.administrative_area_level_2 ||
-                   address.city ||
-                   'N/A'
-        
-        // Cache the result
-        setLgaCache(prev => new Map(prev.set(cacheKey, lga)))
-        return lga
-      }
-    } catch (error) {
-      console.warn(`Failed to lookup LGA for ${suburb}:`, error)
+    const cached = lgaCacheRef.current.get(cacheKey)
+    if (cached && !isCacheEntryExpired(cached)) {
+      return { lga: cached.lga, rateLimitMs: 0 }
     }
     
-    // Cache failed lookups to avoid repeated attempts
-    setLgaCache(prev => new Map(prev.set(cacheKey, 'N/A')))
-    return 'N/A'
-  }
+    const { lga, provider } = await lookupWithProviders(providers, { suburb, state, postcode })
+    
+    // Cache failed lookups to avoid repeated attempts, unless only the offline
+    // table was consulted (enabling a fallback provider later should retry them)
+    if (lga || provider?.id !== 'offline') {
+      cacheLGA([{ key: cacheKey, suburb, state, postcode, lga: lga || 'N/A', source: provider?.id || 'unknown' }])
+    }
+    return { lga: lga || 'N/A', rateLimitMs: provider?.rateLimitMs || 0 }
+  }, [cacheLGA])
+
+  // Offline table first, then the fallback provider chosen in settings
+  const createLgaProviders = useCallback(async () => {
+    const bundledIndex = await loadBundledLgaIndex()
+    const lgaIndex = customLgaIndex ? mergeLgaIndexes(bundledIndex, customLgaIndex) : bundledIndex
+    const fallback = FALLBACK_PROVIDERS[lgaSettings.providerId].create({ serverUrl: lgaSettings.serverUrl })
+    return [createOfflineProvider({ getIndex: () => lgaIndex }), fallback].filter(Boolean)
+  }, [customLgaIndex, lgaSettings])
+
+  // Apply resolved LGAs (row index → LGA) to the loaded data without touching
+  // column selection, order or renames
+  const applyResolvedLGAs = useCallback((updates) => {
+    if (updates.size === 0) return
+    setCsvData(prev => prev && prev.map((row, i) => (updates.has(i) ? { ...row, 'LGA': updates.get(i) } : row)))
+  }, [])
 
   // Batch LGA lookup with rate limiting - Enhanced for Suburb + State OR Suburb + Postcode
-  const batchLookupLGA = async (rows) => {
-    const updatedRows = []
-    setIsLoadingLGA(true)
+  // Only rows still missing an LGA are looked up, so the same function resumes a
+  // cancelled batch. Results are written into csvData as they resolve, flushed at
+  // most every LGA_FLUSH_INTERVAL_MS; rows left by a cancel keep an empty LGA.
+  const batchLookupLGA = useCallback(async (rows) => {
+    const pendingIndexes = rows.map((row, i) => i).filter(i => !rows[i]['LGA'])
+    if (pendingIndexes.length === 0) return
+    
+    const runId = ++lookupRunRef.current
+    const isCurrentRun = () => lookupRunRef.current === runId
+    let resolved = new Map()
+    let lastFlush = Date.now()
+    
+    const flush = (processed) => {
+      if (!isCurrentRun()) return
+      applyResolvedLGAs(resolved)
+      resolved = new Map()
+      lastFlush = Date.now()
+      setLgaProgress(prev => prev && { ...prev, processed })
+    }
+    
+    cancelLookupRef.current = false
+    setLgaProgress({ processed: 0, total: pendingIndexes.length, startedAt: Date.now() })
     
     try {
-      for (let i = 0; i < rows.length; i++) {
+      const providers = await createLgaProviders()
+      let delayMs = 0
+      
+      for (let n = 0; n < pendingIndexes.length; n++) {
+        const i = pendingIndexes[n]
         const row = rows[i]
         const suburb = row['Suburb'] || row['suburb'] || ''
         const state = row['State'] || row['state'] || ''
         const postcode = row['Postcode'] || row['postcode'] || ''
         
-        // Add delay to respect API rate limits (1 request per second)
-        if (i > 0) {
-          await new Promise(resolve => setTimeout(resolve, 1000))
+        // Respect the previous provider's rate limit (Nominatim allows 1 request per second)
+        if (delayMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, delayMs))
         }
+        if (cancelLookupRef.current || !isCurrentRun()) break
         
-        const lga = await lookupLGA(suburb, state, postcode)
-        updatedRows.push({
-          ...row,
-          'LGA': lga
-        })
+        const { lga, rateLimitMs } = await lookupLGA(suburb, state, postcode, providers)
+        delayMs = rateLimitMs
+        resolved.set(i, lga)
+        
+        if (delayMs > 0 || Date.now() - lastFlush >= LGA_FLUSH_INTERVAL_MS) {
+          flush(n + 1)
+        }
       }
     } catch (error) {
       console.error('Batch LGA lookup failed:', error)
-      // Return original rows with N/A LGA if batch fails
-      return rows.map(row => ({ ...row, 'LGA': 'N/A' }))
     } finally {
-      setIsLoadingLGA(false)
+      flush(0)
+      if (isCurrentRun()) setLgaProgress(null)
     }
-    
-    return updatedRows
+  }, [createLgaProviders, lookupLGA, applyResolvedLGAs])
+
+  const lgaIndex = useMemo(() => {
+    if (!bundledLgaIndex) return customLgaIndex
+    return customLgaIndex ? mergeLgaIndexes(bundledLgaIndex, customLgaIndex) : bundledLgaIndex
+  }, [bundledLgaIndex, customLgaIndex])
+
+  const lgaReviewEntries = useMemo(() => {
+    if (!showLgaReview || !csvData) return []
+    return buildLgaReview(csvData, { cache: lgaCache, overrides: lgaOverrides, lgaIndex })
+  }, [showLgaReview, csvData, lgaCache, lgaOverrides, lgaIndex])
+
+  // Known LGA names offered when correcting a suburb
+  const lgaOptions = useMemo(() => {
+    if (!showLgaReview) return []
+    const names = new Set()
+    if (lgaIndex) lgaIndex.byState.forEach(lga => names.add(lga))
+    lgaCache.forEach(entry => entry.lga !== 'N/A' && names.add(entry.lga))
+    return [...names].sort()
+  }, [showLgaReview, lgaIndex, lgaCache])
+
+  // Score and Rank get names no loaded or calculated column uses, and keep their
+  // default formats unless the user picks another type for them
+  // Calculated columns named like a loaded column aren't applied, so they're left out here
+  const calculatedColumnNames = useMemo(() => {
+    const conflicts = findColumnConflicts(calculatedColumns, headers)
+    return calculatedColumns.filter(definition => !conflicts.includes(definition)).map(definition => definition.name)
+  }, [calculatedColumns, headers])
+  const scoreColumns = useMemo(
+    () => getScoreColumns([...headers, ...calculatedColumnNames]),
+    [headers, calculatedColumnNames]
+  )
+  const tableColumnTypes = useMemo(
+    () => ({ ...getScoreColumnTypes(scoreColumns), ...columnTypes }),
+    [scoreColumns, columnTypes]
+  )
+
+  // Loaded rows plus calculated columns, then the rows passing the filter rules,
+  // scored among themselves, in sort key order; these drive the preview and every export
+  const compiledCalculatedColumns = useMemo(() => compileCalculatedColumns(calculatedColumns), [calculatedColumns])
+  const tableRows = useMemo(
+    () => applyCalculatedColumns(csvData, compiledCalculatedColumns),
+    [csvData, compiledCalculatedColumns]
+  )
+  const filteredRows = useMemo(
+    () => filterRowsByRules(tableRows, rowRules, tableColumnTypes),
+    [tableRows, rowRules, tableColumnTypes]
+  )
+  const scoredRows = useMemo(
+    () => applyScores(filteredRows, scoringConfig, tableColumnTypes, scoreColumns),
+    [applyScores, filteredRows, scoringConfig, tableColumnTypes, scoreColumns]
+  )
+  const sortedRows = useMemo(
+    () => sortRows(scoredRows, sortKeys, col => getColumnType(tableColumnTypes, col)),
+    [scoredRows, sortKeys, tableColumnTypes]
+  )
+  // Scales, bars and icons are measured over the rows that pass the filters
+  const cellStyler = useMemo(
+    () => buildCellStyler(scoredRows, formatRules, tableColumnTypes),
+    [scoredRows, formatRules, tableColumnTypes]
+  )
+
+  // File headers followed by the calculated columns and, when scoring, Score and Rank
+  const scoreColumnNames = useMemo(
+    () => (isScoringEnabled(scoringConfig) ? [scoreColumns.score, scoreColumns.rank] : []),
+    [scoringConfig, scoreColumns]
+  )
+  const allHeaders = useMemo(() => (headers.length > 0
+    ? getTableHeaders([...headers, ...calculatedColumnNames], scoringConfig)
+    : []), [headers, calculatedColumnNames, scoringConfig])
+
+  const missingLgaCount = csvData ? csvData.filter(row => row['LGA'] === '').length : 0
+
+  const cancelLGALookup = () => {
+    cancelLookupRef.current = true
   }
 
-  // Calculate Median Weekly Rent from annual rental yield and property price
-  const calculateMedianWeeklyRent = (row) => {
-    const propertyPrice = parseFloat(row['Suburb $ Median']) || 0
-    const rentalYield = parseFloat(row['Rental Yield']) || 0
-    
-    if (propertyPrice > 0 && rentalYield > 0) {
-      const annualRent = propertyPrice * rentalYield
-      const weeklyRent = annualRent / 52
-      return Math.round(weeklyRent)
+  // Abandon any lookup still running for the previous file, along with its progress
+  const stopLGALookup = useCallback(() => {
+    lookupRunRef.current++
+    setLgaProgress(null)
+  }, [])
+
+  // Continue a cancelled batch for the rows that still have no LGA
+  const resumeLGALookup = () => {
+    batchLookupLGA(csvData)
+  }
+
+  // Load a full ABS locality-to-LGA correspondence export to extend the bundled
+  // table; it's kept in IndexedDB so it only needs loading once
+  const handleCorrespondenceUpload = async (file) => {
+    if (!file) return
+    try {
+      const index = parseCorrespondenceCsv(await file.text())
+      setCustomLgaIndex(index)
+      setCustomLgaTableName(file.name)
+      setCorrespondenceError('')
+      saveCorrespondenceTable(file.name, index.entries)
+        .catch(error => console.warn('Failed to save correspondence table:', error))
+    } catch (error) {
+      console.error('Error loading correspondence table:', error)
+      setCorrespondenceError(error.message)
     }
-    return 0
   }
 
-  // Format value based on field type
-  const formatValue = (value, fieldName) => {
-    if (!value || value === '') return ''
-    
-    const numValue = parseFloat(value)
-    if (isNaN(numValue)) return value
+  const handleRemoveCorrespondence = () => {
+    setCustomLgaIndex(null)
+    setCustomLgaTableName('')
+    deleteCorrespondenceTable()
+      .catch(error => console.warn('Failed to remove correspondence table:', error))
+  }
 
-    if (percentageFields.includes(fieldName)) {
-      return `${(numValue * 100).toFixed(2)}%`
+  const handleApplyPreset = useCallback((preset, targetHeaders = allHeaders) => {
+    const layout = applyPreset(preset, targetHeaders, columnTypes)
+    setSelectedColumns(layout.selectedColumns)
+    setColumnRenames(layout.columnRenames)
+    setColumnTypes(layout.columnTypes)
+    setActivePresetId(preset.id)
+    if (layout.missingColumns.length > 0) {
+      toast.warning(`Preset "${preset.name}" columns not in this file: ${layout.missingColumns.join(', ')}`)
     }
+  }, [allHeaders, columnTypes])
+
+  // Shared pipeline for rows coming from a CSV file or a workbook sheet
+  const processRows = useCallback((rows) => {
+    stopLGALookup()
+
+    // Filter out empty rows (rows where all values are empty or undefined)
+    const filteredData = rows.filter(row => {
+      return Object.values(row).some(value => 
+        value !== null && value !== undefined && value !== ''
+      )
+    })
     
-    if (currencyFields.includes(fieldName)) {
-      if (fieldName === 'Median Weekly Rent') {
-        return `$${numValue.toLocaleString()}`
-      }
-      return `$${numValue.toLocaleString()}`
-    }
+    // Add calculated Median Weekly Rent to each row
+    let dataWithCalculatedFields = filteredData.map(row => ({
+      ...row,
+      'Median Weekly Rent': calculateMedianWeeklyRent(row)
+    }))
     
-    if (numberFields.includes(fieldName)) {
-      return numValue.toLocaleString()
+    // Check if we have Suburb and (State OR Postcode) columns for LGA lookup
+    const hasSuburb = Object.keys(filteredData[0] || {}).some(key => 
+      key.toLowerCase().includes('suburb'))
+    const hasState = Object.keys(filteredData[0] || {}).some(key => 
+      key.toLowerCase().includes('state'))
+    const hasPostcode = Object.keys(filteredData[0] || {}).some(key => 
+      key.toLowerCase().includes('postcode'))
+    
+    // Perform LGA lookup if we have suburb and either state or postcode. The table is
+    // shown straight away with LGA cells pending ('') and filled in as lookups resolve.
+    const canLookupLGA = hasSuburb && (hasState || hasPostcode) && dataWithCalculatedFields.length > 0
+    if (canLookupLGA) {
+      dataWithCalculatedFields = dataWithCalculatedFields.map(row => ({
+        ...row,
+        'LGA': ''
+      }))
+    } else {
+      // Add N/A LGA column if no suburb/state data
+      dataWithCalculatedFields = dataWithCalculatedFields.map(row => ({
+        ...row,
+        'LGA': 'N/A'
+      }))
     }
     
-    return value
-  }
-
-  // Get raw value for Excel export (without formatting)
-  const getRawValue = (value, fieldName, originalColumn) => {
-    if (!value || value === '') return ''
+    setCsvData(dataWithCalculatedFields)
     
-    // For calculated fields like Median Weekly Rent, extract the numeric value from formatted string
-    if (originalColumn === 'Median Weekly Rent') {
-      // Remove $ sign and commas (e.g., "$871" -> 871)
-      const currencyStr = value.toString().replace(/[$,]/g, '')
-      const currencyNum = parseFloat(currencyStr)
-      return isNaN(currencyNum) ? 0 : currencyNum
-    }
+    // Get headers and add calculated fields
+    const csvHeaders = Object.keys(filteredData[0] || {})
+    const allHeaders = [...csvHeaders, 'Median Weekly Rent', 'LGA']
+    const sortedHeaders = sortHeaders(allHeaders)
     
-    // For percentage fields, extract the number and convert to decimal
-    if (percentageFields.includes(originalColumn)) {
-      // Remove % sign and convert to decimal (e.g., "83.20%" -> 0.8320)
-      const percentStr = value.toString().replace('%', '')
-      const percentNum = parseFloat(percentStr)
-      return isNaN(percentNum) ? 0 : percentNum / 100
-    }
+    setHeaders(sortedHeaders)
     
-    // For currency fields, extract the number
-    if (currencyFields.includes(originalColumn)) {
-      // Remove $ sign and commas (e.g., "$675,000" -> 675000)
-      const currencyStr = value.toString().replace(/[$,]/g, '')
-      const currencyNum = parseFloat(currencyStr)
-      return isNaN(currencyNum) ? 0 : currencyNum
-    }
+    // Sample each column to suggest a type the user can accept or override
+    setTypeSuggestions(inferColumnTypes(dataWithCalculatedFields, sortedHeaders))
     
-    // For number fields, extract the number
-    if (numberFields.includes(originalColumn)) {
-      // Remove commas (e.g., "15,000" -> 15000)
-      const numberStr = value.toString().replace(/,/g, '')
-      const numberNum = parseFloat(numberStr)
-      return isNaN(numberNum) ? 0 : numberNum
-    }
+    // Set default selection to only priority columns that exist in the data
+    const defaultSelectedColumns = priorityColumns.filter(col => sortedHeaders.includes(col))
+    setSelectedColumns(defaultSelectedColumns)
     
-    // For other fields, try to parse as number, otherwise return as string
-    const numValue = parseFloat(value)
-    return isNaN(numValue) ? value : numValue
-  }
-
-  // Sort headers with priority columns first
-  const sortHeaders = (headers) => {
-    const prioritySet = new Set(priorityColumns)
-    const priority = headers.filter(h => prioritySet.has(h))
-    const others = headers.filter(h => !prioritySet.has(h))
+    // Initialize column renames with original names
+    const initialRenames = {}
+    sortedHeaders.forEach(header => {
+      initialRenames[header] = header
+    })
+    setColumnRenames(initialRenames)
+    setActivePresetId(null)
     
-    // Sort priority columns according to priorityColumns order
-    const sortedPriority = priorityColumns.filter(col => priority.includes(col))
+    // Recognise repeat uploads with a known header set and apply their preset
+    const matchingPreset = findMatchingPreset(presets, sortedHeaders)
+    if (matchingPreset) {
+      const previousTypes = columnTypes
+      handleApplyPreset(matchingPreset, getTableHeaders([...sortedHeaders, ...calculatedColumnNames], scoringConfig))
+      toast.success(`Applied preset "${matchingPreset.name}"`, {
+        description: 'The uploaded headers match the file this preset was saved from.',
+        action: {
+          label: 'Undo',
+          onClick: () => {
+            setSelectedColumns(defaultSelectedColumns)
+            setColumnRenames(initialRenames)
+            setColumnTypes(previousTypes)
+            setActivePresetId(null)
+          }
+        }
+      })
+    }
     
-    return [...sortedPriority, ...others.sort()]
-  }
+    if (canLookupLGA) {
+      batchLookupLGA(dataWithCalculatedFields)
+    }
+  }, [presets, columnTypes, calculatedColumnNames, scoringConfig, handleApplyPreset, batchLookupLGA, stopLGALookup])
 
   const handleFileUpload = useCallback(async (file) => {
+    setWorkbook(null)
+
     if (!file) {
-      // Reset state when no file
+      // Reset state when no file, stopping any lookup still running for the old one
+      stopLGALookup()
       setCsvData(null)
       setHeaders([])
       setSelectedColumns([])
       setColumnRenames({})
-      setTableData([])
+      setTypeSuggestions({})
       setFileName('')
       return
     }
     
     setFileName(file.name)
     
-    Papa.parse(file, {
-      header: true,
-      complete: async (results) => {
-        // Filter out empty rows (rows where all values are empty or undefined)
-        const filteredData = results.data.filter(row => {
-          return Object.values(row).some(value => 
-            value !== null && value !== undefined && value !== ''
-          )
-        })
-        
-        // Add calculated Median Weekly Rent to each row
-        let dataWithCalculatedFields = filteredData.map(row => ({
-          ...row,
-          'Median Weekly Rent': calculateMedianWeeklyRent(row)
-        }))
-        
-        // Check if we have Suburb and (State OR Postcode) columns for LGA lookup
-        const hasSuburb = Object.keys(filteredData[0] || {}).some(key => 
-          key.toLowerCase().includes('suburb'))
-        const hasState = Object.keys(filteredData[0] || {}).some(key => 
-          key.toLowerCase().includes('state'))
-        const hasPostcode = Object.keys(filteredData[0] || {}).some(key => 
-          key.toLowerCase().includes('postcode'))
+    try {
+      if (isWorkbookFile(file)) {
+        const { workbookId, sheetNames } = await runTask('read-workbook', { file })
         
-        // Perform LGA lookup if we have suburb and either state or postcode
-        if (hasSuburb && (hasState || hasPostcode) && dataWithCalculatedFields.length > 0) {
-          try {
-            dataWithCalculatedFields = await batchLookupLGA(dataWithCalculatedFields)
-          } catch (error) {
-            console.error('LGA lookup failed:', error)
-            // Add N/A LGA column if lookup fails
-            dataWithCalculatedFields = dataWithCalculatedFields.map(row => ({
-              ...row,
-              'LGA': 'N/A'
-            }))
-          }
+        // Single-sheet workbooks go straight through, otherwise ask which sheet to use
+        if (sheetNames.length === 1) {
+          processRows(await runTask('sheet-rows', { workbookId, sheetName: sheetNames[0] }))
         } else {
-          // Add N/A LGA column if no suburb/state data
-          dataWithCalculatedFields = dataWithCalculatedFields.map(row => ({
-            ...row,
-            'LGA': 'N/A'
-          }))
+          setWorkbook({ id: workbookId, sheetNames })
         }
-        
-        setCsvData(dataWithCalculatedFields)
-        
-        // Get headers and add calculated fields
-        const csvHeaders = Object.keys(filteredData[0] || {})
-        const allHeaders = [...csvHeaders, 'Median Weekly Rent', 'LGA']
-        const sortedHeaders = sortHeaders(allHeaders)
-        
-        setHeaders(sortedHeaders)
-        
-        // Set default selection to only priority columns that exist in the data
-        const defaultSelectedColumns = priorityColumns.filter(col => sortedHeaders.includes(col))
-        setSelectedColumns(defaultSelectedColumns)
-        
-        // Initialize column renames with original names
-        const initialRenames = {}
-        sortedHeaders.forEach(header => {
-          initialRenames[header] = header
-        })
-        setColumnRenames(initialRenames)
-        
-        generateTableData(dataWithCalculatedFields, defaultSelectedColumns, initialRenames)
-      },
-      error: (error) => {
-        console.error('Error parsing CSV:', error)
+        return
       }
-    })
-  }, [lgaCache])
-
-  const generateTableData = (data, columns, renames) => {
-    const filteredData = data.map(row => {
-      const filteredRow = {}
-      columns.forEach(col => {
-        if (row[col] !== undefined) {
-          const renamedCol = renames[col] || col
-          const rawValue = col === 'Median Weekly Rent' ? row[col] : row[col]
-          filteredRow[renamedCol] = formatValue(rawValue, col)
-        }
-      })
-      return filteredRow
-    })
-    setTableData(filteredData)
+      
+      processRows(await runTask('parse-csv', { file }))
+    } catch (error) {
+      console.error('Error parsing file:', error)
+      toast.error('Could not read the file', { description: error.message })
+    }
+  }, [processRows, runTask, stopLGALookup])
+
+  const handleSheetSelect = async (sheetName) => {
+    const workbookId = workbook.id
+    setWorkbook(null)
+    try {
+      processRows(await runTask('sheet-rows', { workbookId, sheetName }))
+    } catch (error) {
+      console.error('Error reading sheet:', error)
+      toast.error('Could not read the sheet', { description: error.message })
+    }
   }
 
+  // Rows and column layout sent to the worker for exports. The score weights go
+  // along whenever Score or Rank is exported.
+  const getExportTable = () => ({
+    rows: sortedRows,
+    columns: selectedColumns,
+    columnRenames,
+    columnTypes: tableColumnTypes,
+    formatRules,
+    scoring: scoreColumnNames.some(col => selectedColumns.includes(col)) ? describeScoring(scoringConfig) : null
+  })
+
   const handleColumnToggle = (column) => {
     const newSelectedColumns = selectedColumns.includes(column)
       ? selectedColumns.filter(col => col !== column)
       : [...selectedColumns, column]
     
     setSelectedColumns(newSelectedColumns)
-    generateTableData(csvData, newSelectedColumns, columnRenames)
   }
 
   const handleColumnRename = (originalName, newName) => {
     const newRenames = { ...columnRenames, [originalName]: newName }
     setColumnRenames(newRenames)
-    generateTableData(csvData, selectedColumns, newRenames)
+  }
+
+  const handleColumnTypeChange = (column, entry) => {
+    const newTypes = { ...columnTypes, [column]: entry }
+    setColumnTypes(newTypes)
+    // Calculated columns remember their type for later sessions
+    if (calculatedColumnNames.includes(column)) {
+      updateCalculatedColumns(calculatedColumns.map(d => d.name === column ? { ...d, columnType: entry } : d))
+    }
+  }
+
+  const dismissTypeSuggestion = (column) => {
+    setTypeSuggestions(prev => {
+      const next = { ...prev }
+      delete next[column]
+      return next
+    })
+  }
+
+  const acceptTypeSuggestion = (column) => {
+    const { type, options } = typeSuggestions[column]
+    handleColumnTypeChange(column, { type, options })
+    dismissTypeSuggestion(column)
+  }
+
+  const updatePresets = (newPresets) => {
+    setPresets(newPresets)
+    savePresets(newPresets)
+  }
+
+  // Saving under an existing name replaces that preset
+  const handleSavePreset = (name) => {
+    const preset = createPreset(name, { headers, selectedColumns, columnRenames, columnTypes })
+    updatePresets([...presets.filter(p => p.name !== name), preset])
+    setActivePresetId(preset.id)
+  }
+
+  const handleDeletePreset = (id) => {
+    updatePresets(presets.filter(p => p.id !== id))
+    if (id === activePresetId) setActivePresetId(null)
+  }
+
+  // Imported presets replace existing ones with the same id
+  const handleImportPresets = (imported) => {
+    const importedIds = new Set(imported.map(p => p.id))
+    updatePresets([...presets.filter(p => !importedIds.has(p.id)), ...imported])
+  }
+
+  const updateRuleSets = (newRuleSets) => {
+    setRuleSets(newRuleSets)
+    saveRuleSets(newRuleSets)
+  }
+
+  // Saving under an existing name replaces that rule set
+  const handleSaveRuleSet = (name) => {
+    updateRuleSets([...ruleSets.filter(r => r.name !== name), createRuleSet(name, rowRules)])
+  }
+
+  const handleDeleteRuleSet = (id) => {
+    updateRuleSets(ruleSets.filter(r => r.id !== id))
+  }
+
+  const updateLgaSettings = (settings) => {
+    setLgaSettings(settings)
+    saveLgaSettings(settings)
+  }
+
+  const updatePdfLayout = (layout) => {
+    setPdfLayout(layout)
+    savePdfLayout(layout)
+  }
+
+  const updateFormatRules = (rules) => {
+    setFormatRules(rules)
+    saveFormatRules(rules)
+  }
+
+  const updateCalculatedColumns = (definitions) => {
+    setCalculatedColumns(definitions)
+    saveCalculatedColumns(definitions)
+  }
+
+  // New calculated columns are selected straight away; edits keep the column's
+  // place in the selection and carry its rename over to a new name, including in
+  // the formulas of other calculated columns
+  const handleSaveCalculatedColumn = (draft) => {
+    const previous = calculatedColumns.find(d => d.id === draft.id)
+    const oldName = previous?.name
+    const definition = previous
+      ? { ...previous, name: draft.name, expression: draft.expression, columnType: draft.columnType }
+      : createCalculatedColumn(draft.name, draft.expression, draft.columnType)
+    const others = oldName && oldName !== definition.name
+      ? renameCalculatedColumn(calculatedColumns, oldName, definition.name)
+      : calculatedColumns
+    updateCalculatedColumns(previous
+      ? others.map(d => d.id === definition.id ? definition : d)
+      : [...calculatedColumns, definition])
+
+    setColumnTypes(prev => {
+      const next = { ...prev, [definition.name]: definition.columnType }
+      if (oldName && oldName !== definition.name) delete next[oldName]
+      return next
+    })
+    setSelectedColumns(prev => (oldName && prev.includes(oldName)
+      ? prev.map(col => col === oldName ? definition.name : col)
+      : prev.includes(definition.name) ? prev : [...prev, definition.name]))
+    setColumnRenames(prev => {
+      const customRename = oldName && prev[oldName] && prev[oldName] !== oldName ? prev[oldName] : null
+      const next = { ...prev, [definition.name]: customRename || definition.name }
+      if (oldName && oldName !== definition.name) delete next[oldName]
+      return next
+    })
+  }
+
+  const handleDeleteCalculatedColumn = (definition) => {
+    updateCalculatedColumns(calculatedColumns.filter(d => d.id !== definition.id))
+    setSelectedColumns(prev => prev.filter(col => col !== definition.name))
+  }
+
+  // Score and Rank are selected when scoring is first switched on
+  const handleScoringChange = (config) => {
+    if (!isScoringEnabled(scoringConfig) && isScoringEnabled(config)) {
+      const columns = [scoreColumns.score, scoreColumns.rank]
+      setSelectedColumns(prev => [...prev, ...columns.filter(col => !prev.includes(col))])
+    }
+    setScoringConfig(config)
+    saveScoringConfig(config)
   }
 
   // Handle drag end for reordering selected columns
@@ -388,7 +770,6 @@ function App() {
     items.splice(result.destination.index, 0, reorderedItem)
 
     setSelectedColumns(items)
-    generateTableData(csvData, items, columnRenames)
   }
 
   const handleDragOver = (e) => {
@@ -410,151 +791,112 @@ function App() {
     }
   }
 
-  const exportTableHTML = () => {
-    if (tableData.length === 0) return
-
-    const tableHeaders = Object.keys(tableData[0])
-    let html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>Report Table</title>
-    <style>
-        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 20px; }
-        .brand-table {
-            border-collapse: collapse;
-            width: 100%;
-            margin: 1rem 0;
-            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-            border-radius: 8px;
-            overflow: hidden;
-        }
-        .brand-table th {
-            background-color: #2C5F7C;
-            color: white;
-            padding: 12px 16px;
-            text-align: left;
-            font-weight: 600;
-            font-size: 14px;
-        }
-        .brand-table td {
-            padding: 12px 16px;
-            border-bottom: 1px solid #e5e7eb;
-            font-size: 14px;
-        }
-        .brand-table tr:nth-child(even) {
-            background-color: #f9fafb;
-        }
-        .brand-table tr:hover {
-            background-color: #f3f4f6;
-        }
-    </style>
-</head>
-<body>
-    <table class="brand-table">
-        <thead>
-            <tr>
-                ${tableHeaders.map(header => `<th>${header}</th>`).join('')}
-            </tr>
-        </thead>
-        <tbody>
-            ${tableData.map(row => 
-                `<tr>${tableHeaders.map(header => `<td>${row[header] || ''}</td>`).join('')}</tr>`
-            ).join('')}
-        </tbody>
-    </table>
-</body>
-</html>`
-
-    const blob = new Blob([html], { type: 'text/html' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = 'formatted-table.html'
-    a.click()
-    URL.revokeObjectURL(url)
-  }
-
-  const exportTableExcel = () => {
-    if (tableData.length === 0) return
-
-    // Create a new workbook
-    const wb = XLSX.utils.book_new()
-    
-    // Get the column headers (renamed columns)
-    const tableHeaders = Object.keys(tableData[0])
-    
-    // Create the data array with headers
-    const excelData = []
-    
-    // Add headers
-    excelData.push(tableHeaders)
-    
-    // Add data rows with raw values for proper Excel formatting
-    tableData.forEach(row => {
-      const rowData = tableHeaders.map(header => {
-        // Find the original column name
-        const originalColumn = Object.keys(columnRenames).find(key => columnRenames[key] === header) || header
-        const rawValue = getRawValue(row[header], header, originalColumn)
-        return rawValue
-      })
-      excelData.push(rowData)
-    })
-    
-    // Create worksheet
-    const ws = XLSX.utils.aoa_to_sheet(excelData)
-    
-    // Set column widths
-    const colWidths = tableHeaders.map(header => ({ wch: Math.max(header.length, 15) }))
-    ws['!cols'] = colWidths
-    
-    // Style the header row
-    const headerRange = XLSX.utils.decode_range(ws['!ref'])
-    for (let col = headerRange.s.c; col <= headerRange.e.c; col++) {
-      const cellAddress = XLSX.utils.encode_cell({ r: 0, c: col })
-      if (!ws[cellAddress]) continue
-      
-      ws[cellAddress].s = {
-        fill: { fgColor: { rgb: "2C5F7C" } },
-        font: { color: { rgb: "FFFFFF" }, bold: true },
-        alignment: { horizontal: "left" }
+  const exportTableHTML = async () => {
+    if (!filteredRows || filteredRows.length === 0) return
+
+    try {
+      const html = await runTask('build-html', getExportTable())
+      downloadFile(html, 'formatted-table.html', 'text/html')
+    } catch (error) {
+      console.error('Error building HTML:', error)
+      toast.error('HTML export failed', { description: error.message })
+    }
+  }
+
+  const exportTableExcel = async () => {
+    if (!filteredRows || filteredRows.length === 0) return
+
+    try {
+      const buffer = await runTask('build-xlsx', getExportTable())
+      downloadFile(
+        new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+        'formatted-table.xlsx'
+      )
+    } catch (error) {
+      console.error('Error building workbook:', error)
+      toast.error('Excel export failed', { description: error.message })
+    }
+  }
+
+  const exportTablePDF = async () => {
+    if (!filteredRows || filteredRows.length === 0) return
+
+    try {
+      const { buffer, splitColumns } = await runTask('build-pdf', { table: getExportTable(), layout: pdfLayout })
+      downloadFile(new Blob([buffer], { type: 'application/pdf' }), 'formatted-table.pdf')
+      if (splitColumns) {
+        toast.warning('Columns were split across pages', {
+          description: 'Shrinking this table to the page width would make the text smaller than 6pt. Try landscape or a larger page size.'
+        })
       }
+    } catch (error) {
+      console.error('Error building PDF:', error)
+      toast.error('PDF export failed', { description: error.message })
     }
-    
-    // Format percentage columns
-    for (let row = 1; row <= headerRange.e.r; row++) {
-      for (let col = 0; col < tableHeaders.length; col++) {
-        const header = tableHeaders[col]
-        const originalColumn = Object.keys(columnRenames).find(key => columnRenames[key] === header) || header
-        const cellAddress = XLSX.utils.encode_cell({ r: row, c: col })
-        
-        if (!ws[cellAddress]) continue
-        
-        // Format percentage fields
-        if (percentageFields.includes(originalColumn)) {
-          ws[cellAddress].z = '0.00%'
-        }
-        // Format currency fields
-        else if (currencyFields.includes(originalColumn)) {
-          ws[cellAddress].z = '$#,##0'
-        }
-        // Format number fields
-        else if (numberFields.includes(originalColumn)) {
-          ws[cellAddress].z = '#,##0'
-        }
+  }
+
+  const exportTableData = async (options) => {
+    if (!filteredRows || filteredRows.length === 0) return
+
+    try {
+      const payload = { table: getExportTable(), options }
+      if (options.format === 'json') {
+        downloadFile(await runTask('build-json', payload), 'formatted-table.json', 'application/json')
+      } else {
+        downloadFile(await runTask('build-csv', payload), 'formatted-table.csv', 'text/csv;charset=utf-8')
       }
+    } catch (error) {
+      console.error('Error building data export:', error)
+      toast.error('Data export failed', { description: error.message })
+    }
+  }
+
+  const exportTableText = async (format) => {
+    if (!filteredRows || filteredRows.length === 0) return
+
+    try {
+      const text = await runTask('build-text', { table: getExportTable(), format })
+      const { extension, mimeType } = TEXT_TABLE_FORMATS[format]
+      downloadFile(text, `formatted-table.${extension}`, `${mimeType};charset=utf-8`)
+    } catch (error) {
+      console.error('Error building text table:', error)
+      toast.error('Text export failed', { description: error.message })
+    }
+  }
+
+  // Rich HTML for documents and email plus TSV for spreadsheets, from the export rows
+  const copyTable = async () => {
+    if (!filteredRows || filteredRows.length === 0) return
+
+    try {
+      const content = runTask('build-clipboard', getExportTable()).then(({ html, tsv }) => ({ html, text: tsv }))
+      await copyRichText(content)
+      toast.success(`Copied ${filteredRows.length.toLocaleString()} rows to the clipboard`)
+    } catch (error) {
+      console.error('Error copying table:', error)
+      toast.error('Copy failed', { description: error.message })
+    }
+  }
+
+  const exportTableImage = async ({ format, scale, rowRange }) => {
+    if (!filteredRows || filteredRows.length === 0) return
+
+    try {
+      const { svg, width, height } = await runTask('build-svg', { table: getExportTable(), rowRange })
+      if (format === 'svg') {
+        downloadFile(svg, 'formatted-table.svg', 'image/svg+xml')
+      } else {
+        downloadFile(await svgToPngBlob(svg, width, height, scale), 'formatted-table.png')
+      }
+    } catch (error) {
+      console.error('Error drawing table image:', error)
+      toast.error('Image export failed', { description: error.message })
     }
-    
-    // Add worksheet to workbook
-    XLSX.utils.book_append_sheet(wb, ws, 'Property Data')
-    
-    // Generate Excel file and download
-    XLSX.writeFile(wb, 'formatted-table.xlsx')
   }
 
   return (
     <div className="min-h-screen bg-gray-50 p-4">
+      <Toaster position="bottom-right" />
       <div className="max-w-6xl mx-auto">
         {/* Header */}
         <div className="text-center mb-8">
@@ -562,24 +904,47 @@ function App() {
           <p className="text-lg text-gray-600">Create professionally formatted tables for your reports</p>
         </div>
 
+        <div className="flex justify-end mb-4">
+          <Button variant="outline" size="sm" onClick={() => setShowCacheManager(!showCacheManager)}>
+            <Database className="h-4 w-4 mr-2" />
+            LGA cache ({lgaCache.size})
+          </Button>
+        </div>
+
+        {showCacheManager && (
+          <LgaCacheManager
+            entries={[...lgaCache.values()]}
+            onEdit={handleCacheEdit}
+            onDelete={handleCacheDelete}
+            onClear={handleCacheClear}
+            onImport={(entries) => cacheLGA(entries, { timestamp: false })}
+            onClose={() => setShowCacheManager(false)}
+          />
+        )}
+
         {/* Upload Section */}
         {!csvData && (
           <Card className="mb-8">
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
                 <Upload className="h-5 w-5" />
-                Upload CSV File
+                Upload CSV or Excel File
               </CardTitle>
               <CardDescription>
-                Upload a CSV file to get started. Priority columns will be selected by default, and you can customize the selection and order.
-                {isLoadingLGA && (
-                  <div className="mt-2 p-2 bg-blue-50 border border-blue-200 rounded-md">
-                    <p className="text-sm text-blue-700">🔍 Looking up LGA information for suburbs... This may take a moment.</p>
+                Upload a CSV file or Excel workbook (.xlsx, .xls, .ods) to get started. Priority columns will be selected by default, and you can customize the selection and order.
+                {lgaProgress && (
+                  <div className="mt-2">
+                    <LgaProgress progress={lgaProgress} onCancel={cancelLGALookup} />
                   </div>
                 )}
               </CardDescription>
             </CardHeader>
             <CardContent>
+              {tableTask && (
+                <div className="mb-4">
+                  <TaskProgress task={tableTask} />
+                </div>
+              )}
               <div
                 className="upload-area"
                 onDragOver={handleDragOver}
@@ -587,11 +952,11 @@ function App() {
                 onDrop={handleDrop}
               >
                 <Upload className="h-12 w-12 mx-auto mb-4 text-gray-400" />
-                <p className="text-lg font-medium mb-2">Drag and drop your CSV file here</p>
+                <p className="text-lg font-medium mb-2">Drag and drop your CSV or Excel file here</p>
                 <p className="text-gray-500 mb-4">or</p>
                 <input
                   type="file"
-                  accept=".csv"
+                  accept={ACCEPTED_EXTENSIONS.join(',')}
                   onChange={(e) => handleFileUpload(e.target.files[0])}
                   className="hidden"
                   id="file-upload"
@@ -603,10 +968,120 @@ function App() {
                   Choose File
                 </Button>
               </div>
+              {workbook && (
+                <div className="mt-4 p-4 border rounded-lg bg-white">
+                  <p className="text-sm font-medium mb-2">
+                    {fileName} contains {workbook.sheetNames.length} sheets. Choose the sheet to format:
+                  </p>
+                  <Select onValueChange={handleSheetSelect}>
+                    <SelectTrigger className="w-full">
+                      <SelectValue placeholder="Select a sheet" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {workbook.sheetNames.map(sheetName => (
+                        <SelectItem key={sheetName} value={sheetName}>
+                          {sheetName}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              <div className="mt-4 p-4 border rounded-lg bg-white space-y-2">
+                <p className="text-sm font-medium flex items-center gap-2">
+                  <MapPin className="h-4 w-4" />
+                  LGA lookup
+                </p>
+                <p className="text-xs text-gray-500">
+                  LGAs are resolved offline from the bundled locality-to-LGA table
+                  {bundledLgaIndex && ` (${bundledLgaIndex.size.toLocaleString()} localities)`}
+                  {customLgaIndex && ` plus ${customLgaIndex.size.toLocaleString()} localities from ${customLgaTableName || 'your loaded table'}`}.
+                  The bundled table only covers common localities; load the ABS locality (SAL) to LGA
+                  correspondence CSV for full coverage. Suburbs in neither are looked up with the fallback below.
+                </p>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <span>Fallback for suburbs not in the table:</span>
+                  <Select value={lgaSettings.providerId} onValueChange={(providerId) => updateLgaSettings({ ...lgaSettings, providerId })}>
+                    <SelectTrigger size="sm" className="w-56">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(FALLBACK_PROVIDERS).map(([id, provider]) => (
+                        <SelectItem key={id} value={id}>
+                          {provider.label}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  {lgaSettings.providerId === 'http' && (
+                    <Input
+                      value={lgaSettings.serverUrl}
+                      onChange={(e) => updateLgaSettings({ ...lgaSettings, serverUrl: e.target.value })}
+                      placeholder={DEFAULT_LOCAL_SERVER_URL}
+                      className="h-8 w-64"
+                    />
+                  )}
+                </div>
+                <input
+                  type="file"
+                  accept=".csv"
+                  onChange={(e) => handleCorrespondenceUpload(e.target.files[0])}
+                  className="hidden"
+                  id="correspondence-upload"
+                />
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => document.getElementById('correspondence-upload').click()}
+                >
+                  Load ABS correspondence CSV
+                </Button>
+                {customLgaIndex && (
+                  <Button variant="ghost" size="sm" onClick={handleRemoveCorrespondence}>
+                    Remove loaded table
+                  </Button>
+                )}
+                {correspondenceError && (
+                  <p className="text-xs text-red-600">{correspondenceError}</p>
+                )}
+              </div>
             </CardContent>
           </Card>
         )}
 
+        {/* Column Presets */}
+        {csvData && (
+          <PresetManager
+            presets={presets}
+            activePresetId={activePresetId}
+            onSave={handleSavePreset}
+            onApply={handleApplyPreset}
+            onDelete={handleDeletePreset}
+            onImport={handleImportPresets}
+          />
+        )}
+
+        {/* Calculated Columns */}
+        {csvData && (
+          <CalculatedColumns
+            definitions={calculatedColumns}
+            fileColumns={headers}
+            sampleRow={tableRows[0]}
+            onSave={handleSaveCalculatedColumn}
+            onDelete={handleDeleteCalculatedColumn}
+          />
+        )}
+
+        {/* Investment Score */}
+        {csvData && (
+          <ScoringPanel
+            config={scoringConfig}
+            columns={[...headers, ...calculatedColumnNames]}
+            scoreColumns={scoreColumns}
+            onChange={handleScoringChange}
+          />
+        )}
+
         {/* Column Management */}
         {csvData && (
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
@@ -622,33 +1097,55 @@ function App() {
               </CardHeader>
               <CardContent>
                 <div className="space-y-2">
-                  {headers.map((header, index) => {
+                  {allHeaders.map((header) => {
                     const isPriority = priorityColumns.includes(header)
+                    const suggestion = typeSuggestions[header]
+                    const currentType = getColumnType(tableColumnTypes, header).type
+                    // Free text already renders as-is under the general type, so only flag real changes
+                    const showSuggestion = suggestion && suggestion.type !== currentType &&
+                      !(suggestion.type === 'text' && currentType === 'general')
+                    const confidence = showSuggestion && describeConfidence(suggestion.confidence)
                     return (
-                      <div key={header} className="flex items-center space-x-2">
-                        <input
-                          type="checkbox"
-                          id={header}
-                          checked={selectedColumns.includes(header)}
-                          onChange={() => handleColumnToggle(header)}
-                          className="rounded"
-                        />
-                        <label htmlFor={header} className="flex-1 text-sm">
-                          {header}
-                          {header === 'Median Weekly Rent' && (
-                            <span className="text-xs text-blue-600 ml-1">(calculated)</span>
-                          )}
-                          {header === 'LGA' && (
-                            <span className="text-xs text-green-600 ml-1">(auto-fetched)</span>
-                          )}
-                        </label>
-                        <Badge variant={selectedColumns.includes(header) ? "default" : "secondary"}>
-                          {selectedColumns.includes(header) ? "Included" : "Excluded"}
-                        </Badge>
-                        {isPriority && (
-                          <Badge variant="outline" className="text-xs">
-                            Priority
+                      <div key={header} className="space-y-1">
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="checkbox"
+                            id={header}
+                            checked={selectedColumns.includes(header)}
+                            onChange={() => handleColumnToggle(header)}
+                            className="rounded"
+                          />
+                          <label htmlFor={header} className="flex-1 text-sm">
+                            {header}
+                            {(header === 'Median Weekly Rent' || calculatedColumnNames.includes(header) || scoreColumnNames.includes(header)) && (
+                              <span className="text-xs text-blue-600 ml-1">(calculated)</span>
+                            )}
+                            {header === 'LGA' && (
+                              <span className="text-xs text-green-600 ml-1">(auto-fetched)</span>
+                            )}
+                          </label>
+                          <Badge variant={selectedColumns.includes(header) ? "default" : "secondary"}>
+                            {selectedColumns.includes(header) ? "Included" : "Excluded"}
                           </Badge>
+                          {isPriority && (
+                            <Badge variant="outline" className="text-xs">
+                              Priority
+                            </Badge>
+                          )}
+                        </div>
+                        {showSuggestion && (
+                          <div className="flex items-center gap-2 pl-6 text-xs text-gray-600">
+                            <span>Looks like {COLUMN_TYPES[suggestion.type].label.toLowerCase()}</span>
+                            <Badge variant={confidence.variant} className="text-xs">
+                              {confidence.label} ({Math.round(suggestion.confidence * 100)}%)
+                            </Badge>
+                            <Button size="sm" variant="outline" className="h-6 px-2 text-xs" onClick={() => acceptTypeSuggestion(header)}>
+                              Accept
+                            </Button>
+                            <Button size="sm" variant="ghost" className="h-6 px-2 text-xs" onClick={() => dismissTypeSuggestion(header)}>
+                              Dismiss
+                            </Button>
+                          </div>
                         )}
                       </div>
                     )
@@ -676,50 +1173,53 @@ function App() {
                         ref={provided.innerRef}
                         className="space-y-3"
                       >
-                        {selectedColumns.map((column, index) => (
-                          <Draggable key={column} draggableId={column} index={index}>
-                            {(provided, snapshot) => (
-                              <div
-                                ref={provided.innerRef}
-                                {...provided.draggableProps}
-                                className={`space-y-1 p-3 border rounded-lg bg-white ${
-                                  snapshot.isDragging ? 'shadow-lg' : 'shadow-sm'
-                                }`}
-                              >
-                                <div className="flex items-center gap-2">
-                                  <div
-                                    {...provided.dragHandleProps}
-                                    className="cursor-grab active:cursor-grabbing"
-                                  >
-                                    <GripVertical className="h-4 w-4 text-gray-400" />
+                        {selectedColumns.map((column, index) => {
+                          const columnType = getColumnType(tableColumnTypes, column)
+                          const typeHint = getTypeHint(columnType)
+                          return (
+                            <Draggable key={column} draggableId={column} index={index}>
+                              {(provided, snapshot) => (
+                                <div
+                                  ref={provided.innerRef}
+                                  {...provided.draggableProps}
+                                  className={`space-y-1 p-3 border rounded-lg bg-white ${
+                                    snapshot.isDragging ? 'shadow-lg' : 'shadow-sm'
+                                  }`}
+                                >
+                                  <div className="flex items-center gap-2">
+                                    <div
+                                      {...provided.dragHandleProps}
+                                      className="cursor-grab active:cursor-grabbing"
+                                    >
+                                      <GripVertical className="h-4 w-4 text-gray-400" />
+                                    </div>
+                                    <label className="text-sm font-medium text-gray-700 flex-1">
+                                      {column}
+                                      {typeHint && (
+                                        <span className={`text-xs ml-1 ${typeHint.className}`}>({typeHint.text})</span>
+                                      )}
+                                      {column === 'LGA' && (
+                                        <span className="text-xs text-green-600 ml-1">(auto-fetched)</span>
+                                      )}
+                                    </label>
+                                    <span className="text-xs text-gray-500">#{index + 1}</span>
                                   </div>
-                                  <label className="text-sm font-medium text-gray-700 flex-1">
-                                    {column}
-                                    {percentageFields.includes(column) && (
-                                      <span className="text-xs text-green-600 ml-1">(% format)</span>
-                                    )}
-                                    {currencyFields.includes(column) && (
-                                      <span className="text-xs text-blue-600 ml-1">($ format)</span>
-                                    )}
-                                    {numberFields.includes(column) && (
-                                      <span className="text-xs text-purple-600 ml-1">(number format)</span>
-                                    )}
-                                    {column === 'LGA' && (
-                                      <span className="text-xs text-green-600 ml-1">(auto-fetched)</span>
-                                    )}
-                                  </label>
-                                  <span className="text-xs text-gray-500">#{index + 1}</span>
+                                  <Input
+                                    value={columnRenames[column] || column}
+                                    onChange={(e) => handleColumnRename(column, e.target.value)}
+                                    placeholder="Enter new column name"
+                                    className="mt-1"
+                                  />
+                                  <ColumnTypeEditor
+                                    column={column}
+                                    columnType={columnType}
+                                    onChange={(entry) => handleColumnTypeChange(column, entry)}
+                                  />
                                 </div>
-                                <Input
-                                  value={columnRenames[column] || column}
-                                  onChange={(e) => handleColumnRename(column, e.target.value)}
-                                  placeholder="Enter new column name"
-                                  className="mt-1"
-                                />
-                              </div>
-                            )}
-                          </Draggable>
-                        ))}
+                              )}
+                            </Draggable>
+                          )
+                        })}
                         {provided.placeholder}
                       </div>
                     )}
@@ -730,8 +1230,72 @@ function App() {
           </div>
         )}
 
+        {/* Row Filters */}
+        {csvData && csvData.length > 0 && (
+          <RuleBuilder
+            rules={rowRules}
+            columns={allHeaders.filter(header => !scoreColumnNames.includes(header))}
+            matchCount={filteredRows.length}
+            totalCount={csvData.length}
+            ruleSets={ruleSets}
+            onChange={setRowRules}
+            onSaveRuleSet={handleSaveRuleSet}
+            onApplyRuleSet={(ruleSet) => setRowRules(ruleSet.rules)}
+            onDeleteRuleSet={handleDeleteRuleSet}
+          />
+        )}
+
+        {/* Conditional Formatting */}
+        {csvData && csvData.length > 0 && (
+          <ConditionalFormatEditor
+            rules={formatRules}
+            columns={allHeaders}
+            onChange={updateFormatRules}
+          />
+        )}
+
+        {showLgaReview && csvData && (
+          <LgaReview
+            entries={lgaReviewEntries}
+            lgaOptions={lgaOptions}
+            onOverride={handleLgaOverride}
+            onResetOverride={handleResetOverride}
+            onClose={() => setShowLgaReview(false)}
+          />
+        )}
+
+        {showPdfOptions && csvData && (
+          <PdfExportPanel
+            layout={pdfLayout}
+            rowCount={sortedRows.length}
+            disabled={!!tableTask || filteredRows.length === 0}
+            onChange={updatePdfLayout}
+            onExport={exportTablePDF}
+            onClose={() => setShowPdfOptions(false)}
+          />
+        )}
+
+        {showImageOptions && csvData && (
+          <ImageExportPanel
+            rowCount={sortedRows.length}
+            disabled={!!tableTask || filteredRows.length === 0}
+            onExport={exportTableImage}
+            onClose={() => setShowImageOptions(false)}
+          />
+        )}
+
+        {showDataExport && csvData && (
+          <DataExportPanel
+            columnCount={selectedColumns.length}
+            rowCount={sortedRows.length}
+            disabled={!!tableTask || filteredRows.length === 0}
+            onExport={exportTableData}
+            onClose={() => setShowDataExport(false)}
+          />
+        )}
+
         {/* Table Preview */}
-        {tableData.length > 0 && (
+        {csvData && csvData.length > 0 && (
           <Card className="mb-8">
             <CardHeader>
               <CardTitle className="flex items-center gap-2">
@@ -739,17 +1303,62 @@ function App() {
                 Table Preview
               </CardTitle>
               <CardDescription>
-                Preview of your formatted table ({tableData.length} rows) - Percentages, currency, and LGA information automatically formatted
+                Preview of your formatted table ({filteredRows.length === csvData.length
+                  ? `${csvData.length.toLocaleString()} rows`
+                  : `${filteredRows.length.toLocaleString()} of ${csvData.length.toLocaleString()} rows match the filter rules`}) - Click a header to sort, filter columns or search all rows
               </CardDescription>
-              <div className="flex gap-2">
-                <Button onClick={exportTableHTML} className="brand-accent">
+              <div className="flex flex-wrap gap-2">
+                <Button onClick={exportTableHTML} className="brand-accent" disabled={!!tableTask || filteredRows.length === 0}>
                   <Download className="h-4 w-4 mr-2" />
                   Export HTML
                 </Button>
-                <Button onClick={exportTableExcel} className="brand-primary">
+                <Button onClick={exportTableExcel} className="brand-primary" disabled={!!tableTask || filteredRows.length === 0}>
                   <FileSpreadsheet className="h-4 w-4 mr-2" />
                   Export Excel
                 </Button>
+                <Button onClick={() => setShowDataExport(!showDataExport)} variant="outline">
+                  <FileDown className="h-4 w-4 mr-2" />
+                  Export CSV / JSON
+                </Button>
+                <DropdownMenu>
+                  <DropdownMenuTrigger asChild>
+                    <Button variant="outline" disabled={!!tableTask || filteredRows.length === 0}>
+                      <FileCode className="h-4 w-4 mr-2" />
+                      Export Text
+                    </Button>
+                  </DropdownMenuTrigger>
+                  <DropdownMenuContent>
+                    {Object.entries(TEXT_TABLE_FORMATS).map(([id, format]) => (
+                      <DropdownMenuItem key={id} onSelect={() => exportTableText(id)}>
+                        {format.label} (.{format.extension})
+                      </DropdownMenuItem>
+                    ))}
+                  </DropdownMenuContent>
+                </DropdownMenu>
+                <Button onClick={copyTable} variant="outline" disabled={!!tableTask || filteredRows.length === 0}>
+                  <ClipboardCopy className="h-4 w-4 mr-2" />
+                  Copy
+                </Button>
+                <Button onClick={() => setShowPdfOptions(!showPdfOptions)} variant="outline">
+                  <FileText className="h-4 w-4 mr-2" />
+                  Export PDF
+                </Button>
+                <Button onClick={() => setShowImageOptions(!showImageOptions)} variant="outline">
+                  <ImageDown className="h-4 w-4 mr-2" />
+                  Export Image
+                </Button>
+                {headers.includes('LGA') && (
+                  <Button onClick={() => setShowLgaReview(!showLgaReview)} variant="outline">
+                    <ClipboardCheck className="h-4 w-4 mr-2" />
+                    Review LGAs
+                  </Button>
+                )}
+                {!lgaProgress && missingLgaCount > 0 && (
+                  <Button onClick={resumeLGALookup} variant="outline">
+                    <MapPin className="h-4 w-4 mr-2" />
+                    Resume LGA lookup ({missingLgaCount} remaining)
+                  </Button>
+                )}
                 <Button 
                   onClick={() => handleFileUpload(null)} 
                   variant="outline"
@@ -758,33 +1367,27 @@ function App() {
                   Upload New File
                 </Button>
               </div>
+              {lgaProgress && <LgaProgress progress={lgaProgress} onCancel={cancelLGALookup} />}
+              {tableTask && <TaskProgress task={tableTask} />}
             </CardHeader>
-            <CardContent>
-              <div className="overflow-x-auto">
-                <table className="brand-table">
-                  <thead>
-                    <tr>
-                      {Object.keys(tableData[0] || {}).map(header => (
-                        <th key={header}>{header}</th>
-                      ))}
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {tableData.slice(0, 10).map((row, index) => (
-                      <tr key={index}>
-                        {Object.keys(tableData[0] || {}).map(header => (
-                          <td key={header}>{row[header] || ''}</td>
-                        ))}
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-                {tableData.length > 10 && (
-                  <p className="text-sm text-gray-500 mt-2">
-                    Showing first 10 rows of {tableData.length} total rows
-                  </p>
-                )}
-              </div>
+            <CardContent className="space-y-4">
+              <SortConfig
+                sortKeys={sortKeys}
+                columns={allHeaders}
+                columnRenames={columnRenames}
+                onChange={setSortKeys}
+              />
+              <DataGrid
+                rows={sortedRows}
+                columns={selectedColumns}
+                columnRenames={columnRenames}
+                columnTypes={tableColumnTypes}
+                sortKeys={sortKeys}
+                onSortChange={setSortKeys}
+                getCellStyle={cellStyler}
+                pendingColumn="LGA"
+                pendingLabel={lgaProgress ? 'Pending…' : 'Not looked up'}
+              />
             </CardContent>
           </Card>
         )}
@@ -0,0 +1,144 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Calculator, Pencil, Trash2 } from 'lucide-react'
+import ColumnTypeEditor from '@/components/column-type-editor.jsx'
+import { COLUMN_TYPES, formatValue, getColumnType } from '@/lib/column-types'
+import { compileFormula, formatFormulaResult, validateFormula } from '@/lib/formula'
+import { findLaterReferences, getEarlierColumnNames } from '@/lib/calculated-columns'
+
+const EMPTY_DRAFT = { id: null, name: '', expression: '', columnType: { type: 'general' } }
+
+// Resolve a draft's type the same way the format registry does
+const resolveType = (columnType) => getColumnType({ draft: columnType }, 'draft')
+
+// Define formula columns from other columns, e.g. gross annual rent or price-to-income
+function CalculatedColumns({ definitions, fileColumns, sampleRow, onSave, onDelete }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+
+  const name = draft.name.trim()
+  const otherNames = definitions.filter(d => d.id !== draft.id).map(d => d.name)
+  // Formulas may use file columns and calculated columns defined above them
+  const availableColumns = [...fileColumns, ...getEarlierColumnNames(definitions, draft.id)]
+  const laterReferences = findLaterReferences(definitions, draft)
+
+  const nameError = name && (fileColumns.includes(name) || otherNames.includes(name))
+    ? `There is already a column called "${name}"`
+    : ''
+  let formulaError = ''
+  if (laterReferences.length > 0) {
+    formulaError = `Can't use ${laterReferences.map(col => `[${col}]`).join(', ')}: formulas can only use calculated columns defined above them`
+  } else if (draft.expression.trim()) {
+    formulaError = validateFormula(draft.expression, availableColumns)
+  }
+
+  let previewValue = null
+  if (sampleRow && draft.expression.trim() && !formulaError) {
+    const result = formatFormulaResult(compileFormula(draft.expression).evaluate(sampleRow))
+    previewValue = formatValue(result, resolveType(draft.columnType)) || 'empty'
+  }
+
+  const canSave = name && draft.expression.trim() && !nameError && !formulaError
+
+  const handleSave = () => {
+    if (!canSave) return
+    onSave({ ...draft, name, expression: draft.expression.trim() })
+    setDraft(EMPTY_DRAFT)
+  }
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Calculator className="h-5 w-5" />
+          Calculated Columns
+        </CardTitle>
+        <CardDescription>
+          Add columns computed from others. Put column names in brackets, e.g.
+          <code className="mx-1">[Median Weekly Rent] * 52</code>
+          or <code className="mx-1">ROUND([Suburb $ Median] / [Median Income], 1)</code>.
+          Supports + - * / ^, comparisons, IF, ROUND, MIN, MAX, ABS, AND, OR, NOT, ISBLANK and COALESCE.
+          Empty cells give an empty result unless handled with COALESCE or ISBLANK.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {definitions.length > 0 && (
+          <div className="space-y-2">
+            {definitions.map(definition => (
+              <div key={definition.id} className="flex items-center gap-2 p-2 border rounded-lg bg-white text-sm">
+                <span className="font-medium">{definition.name}</span>
+                <code className="flex-1 truncate text-gray-600">{definition.expression}</code>
+                {fileColumns.includes(definition.name) && (
+                  <span className="text-xs text-red-600">Not applied: the file has its own column with this name</span>
+                )}
+                {findLaterReferences(definitions, definition).length > 0 && (
+                  <span className="text-xs text-red-600">Uses a column defined below it</span>
+                )}
+                <Badge variant="secondary">{COLUMN_TYPES[resolveType(definition.columnType).type].label}</Badge>
+                <Button size="sm" variant="ghost" onClick={() => setDraft(definition)} aria-label={`Edit ${definition.name}`}>
+                  <Pencil className="h-3 w-3" />
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => onDelete(definition)} aria-label={`Delete ${definition.name}`}>
+                  <Trash2 className="h-3 w-3" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+        <div className="space-y-2 p-3 border rounded-lg bg-gray-50">
+          <div className="flex flex-wrap gap-2">
+            <Input
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              placeholder="Column name, e.g. Gross Annual Rent"
+              className="w-64 bg-white"
+            />
+            <Select
+              value=""
+              onValueChange={(col) => setDraft({ ...draft, expression: `${draft.expression.trimEnd()} [${col}]`.trimStart() })}
+            >
+              <SelectTrigger className="w-48 bg-white">
+                <SelectValue placeholder="Insert column" />
+              </SelectTrigger>
+              <SelectContent>
+                {availableColumns.map(col => <SelectItem key={col} value={col}>{col}</SelectItem>)}
+              </SelectContent>
+            </Select>
+            <ColumnTypeEditor
+              column={name || 'Calculated column'}
+              columnType={resolveType(draft.columnType)}
+              onChange={(columnType) => setDraft({ ...draft, columnType })}
+            />
+          </div>
+          <Input
+            value={draft.expression}
+            onChange={(e) => setDraft({ ...draft, expression: e.target.value })}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="Formula, e.g. [Suburb $ Median] * [Rental Yield]"
+            className="font-mono bg-white"
+          />
+          {nameError && <p className="text-xs text-red-600">{nameError}</p>}
+          {formulaError && <p className="text-xs text-red-600">{formulaError}</p>}
+          {previewValue !== null && (
+            <p className="text-xs text-gray-600">First row: {previewValue}</p>
+          )}
+          <div className="flex gap-2">
+            <Button onClick={handleSave} disabled={!canSave} className="brand-primary">
+              {draft.id ? 'Update column' : 'Add column'}
+            </Button>
+            {draft.id && (
+              <Button variant="ghost" onClick={() => setDraft(EMPTY_DRAFT)}>
+                Cancel
+              </Button>
+            )}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default CalculatedColumns
@@ -0,0 +1,91 @@
+import { useState } from 'react'
+import { Input } from '@/components/ui/input.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { COLUMN_TYPES, validateDatePattern } from '@/lib/column-types'
+
+// Type selector plus the options relevant to the chosen type
+function ColumnTypeEditor({ column, columnType, onChange }) {
+  const { type, options } = columnType
+
+  const setType = (newType) => onChange({ type: newType, options: {} })
+  const setOption = (key, value) => onChange({ type, options: { ...options, [key]: value } })
+
+  // An invalid pattern stays in the input as a draft and is never saved
+  const [patternDraft, setPatternDraft] = useState(null)
+  const patternError = patternDraft === null ? null : validateDatePattern(patternDraft)
+  const setPattern = (pattern) => {
+    if (validateDatePattern(pattern)) {
+      setPatternDraft(pattern)
+    } else {
+      setPatternDraft(null)
+      setOption('pattern', pattern)
+    }
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <Select value={type} onValueChange={setType}>
+        <SelectTrigger size="sm" className="w-36" aria-label={`${column} type`}>
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          {Object.entries(COLUMN_TYPES).map(([key, definition]) => (
+            <SelectItem key={key} value={key}>
+              {definition.label}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+      {'decimals' in options && (
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          Decimals
+          <Input
+            type="number"
+            min={0}
+            max={6}
+            value={options.decimals}
+            onChange={(e) => setOption('decimals', Math.min(6, Math.max(0, parseInt(e.target.value, 10) || 0)))}
+            className="h-8 w-16"
+          />
+        </label>
+      )}
+      {'symbol' in options && (
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          Symbol
+          <Input
+            value={options.symbol}
+            onChange={(e) => setOption('symbol', e.target.value)}
+            className="h-8 w-14"
+          />
+        </label>
+      )}
+      {'fraction' in options && (
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={options.fraction}
+            onChange={(e) => setOption('fraction', e.target.checked)}
+            className="rounded"
+          />
+          Stored as fraction
+        </label>
+      )}
+      {'pattern' in options && (
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          Pattern
+          <Input
+            value={patternDraft ?? options.pattern}
+            onChange={(e) => setPattern(e.target.value)}
+            onBlur={() => setPatternDraft(null)}
+            aria-invalid={Boolean(patternError)}
+            title={patternError || undefined}
+            className="h-8 w-28"
+          />
+          {patternError && <span className="text-red-600">{patternError}</span>}
+        </label>
+      )}
+    </div>
+  )
+}
+
+export default ColumnTypeEditor
@@ -0,0 +1,164 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Paintbrush, Plus, X } from 'lucide-react'
+import { FORMAT_KINDS, ICON_SETS, createFormatRule } from '@/lib/conditional-format'
+import { RULE_OPERATORS } from '@/lib/row-rules'
+
+function ColorInput({ label, value, onChange }) {
+  return (
+    <label className="flex items-center gap-1 text-xs text-gray-600">
+      {label}
+      <input
+        type="color"
+        value={value || '#ffffff'}
+        onChange={(e) => onChange(e.target.value)}
+        className="h-8 w-10 cursor-pointer rounded border border-gray-200 bg-white p-0.5"
+      />
+    </label>
+  )
+}
+
+// Highlight rules, colour scales, data bars and icon sets. Rules read the raw
+// values and apply to the preview, the HTML export and the Excel export.
+function ConditionalFormatEditor({ rules, columns, onChange }) {
+  const update = (id, change) => onChange(rules.map(rule => rule.id === id ? { ...rule, ...change } : rule))
+
+  // Switching kind starts from that kind's defaults
+  const changeKind = (rule, kind) => onChange(rules.map(r =>
+    r.id === rule.id ? { ...createFormatRule(rule.column, kind), id: rule.id } : r))
+
+  const renderOptions = (rule) => {
+    if (rule.kind === 'threshold') {
+      const operator = RULE_OPERATORS[rule.operator]
+      return (
+        <>
+          <Select value={rule.operator} onValueChange={(value) => update(rule.id, { operator: value })}>
+            <SelectTrigger size="sm" className="w-36">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(RULE_OPERATORS).map(([id, op]) => (
+                <SelectItem key={id} value={id}>{op.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          {!operator.noValue && (
+            <Input
+              value={rule.value}
+              onChange={(e) => update(rule.id, { value: e.target.value })}
+              placeholder={operator.hint || 'Value'}
+              className="h-8 w-40"
+            />
+          )}
+          <ColorInput label="Fill" value={rule.fill} onChange={(fill) => update(rule.id, { fill })} />
+          <ColorInput label="Text" value={rule.text} onChange={(text) => update(rule.id, { text })} />
+        </>
+      )
+    }
+    if (rule.kind === 'scale') {
+      return (
+        <>
+          <ColorInput label="Lowest" value={rule.minColor} onChange={(minColor) => update(rule.id, { minColor })} />
+          {rule.midColor && (
+            <ColorInput label="Middle" value={rule.midColor} onChange={(midColor) => update(rule.id, { midColor })} />
+          )}
+          <ColorInput label="Highest" value={rule.maxColor} onChange={(maxColor) => update(rule.id, { maxColor })} />
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            <input
+              type="checkbox"
+              checked={!!rule.midColor}
+              onChange={(e) => update(rule.id, { midColor: e.target.checked ? FORMAT_KINDS.scale.defaults.midColor : '' })}
+            />
+            Three colours
+          </label>
+        </>
+      )
+    }
+    if (rule.kind === 'bar') {
+      return <ColorInput label="Bar" value={rule.color} onChange={(color) => update(rule.id, { color })} />
+    }
+    return (
+      <>
+        <Select value={rule.set} onValueChange={(set) => update(rule.id, { set })}>
+          <SelectTrigger size="sm" className="w-40">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(ICON_SETS).map(([id, set]) => (
+              <SelectItem key={id} value={id}>
+                {set.icons.map(icon => icon.glyph).join(' ')} {set.label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <label className="flex items-center gap-1 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={!!rule.reverse}
+            onChange={(e) => update(rule.id, { reverse: e.target.checked })}
+          />
+          Lower is better
+        </label>
+      </>
+    )
+  }
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Paintbrush className="h-5 w-5" />
+          Conditional Formatting
+        </CardTitle>
+        <CardDescription>
+          Colour cells by their values. Scales, bars and icons are measured across the filtered rows,
+          and later rules are drawn over earlier ones.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {rules.map(rule => (
+          <div key={rule.id} className="flex flex-wrap items-center gap-2">
+            <Select value={rule.column || undefined} onValueChange={(column) => update(rule.id, { column })}>
+              <SelectTrigger size="sm" className="w-56">
+                <SelectValue placeholder="Column" />
+              </SelectTrigger>
+              <SelectContent>
+                {columns.map(col => <SelectItem key={col} value={col}>{col}</SelectItem>)}
+                {rule.column && !columns.includes(rule.column) && (
+                  <SelectItem value={rule.column}>{rule.column} (not in this file)</SelectItem>
+                )}
+              </SelectContent>
+            </Select>
+            <Select value={rule.kind} onValueChange={(kind) => changeKind(rule, kind)}>
+              <SelectTrigger size="sm" className="w-40">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(FORMAT_KINDS).map(([id, kind]) => (
+                  <SelectItem key={id} value={id}>{kind.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {renderOptions(rule)}
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={() => onChange(rules.filter(r => r.id !== rule.id))}
+              aria-label="Remove formatting rule"
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <Button size="sm" variant="outline" onClick={() => onChange([...rules, createFormatRule()])}>
+          <Plus className="h-3 w-3 mr-1" />
+          Add formatting rule
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ConditionalFormatEditor
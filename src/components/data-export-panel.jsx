@@ -0,0 +1,98 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Download, FileDown, X } from 'lucide-react'
+import { CSV_DELIMITERS, CSV_VALUE_MODES, DEFAULT_DATA_EXPORT, JSON_SHAPES } from '@/lib/data-export'
+
+// CSV and JSON options for the data export
+function DataExportPanel({ columnCount, rowCount, disabled, onExport, onClose }) {
+  const [options, setOptions] = useState(DEFAULT_DATA_EXPORT)
+  const update = (change) => setOptions(prev => ({ ...prev, ...change }))
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileDown className="h-5 w-5" />
+          CSV / JSON Export
+          <Button variant="ghost" size="sm" className="ml-auto" onClick={onClose} aria-label="Close data export options">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+        <CardDescription>
+          {rowCount.toLocaleString()} rows and {columnCount} columns, using the selected columns in order
+          with their renamed headers.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={options.format} onValueChange={(format) => update({ format })}>
+            <SelectTrigger size="sm" className="w-24">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="csv">CSV</SelectItem>
+              <SelectItem value="json">JSON</SelectItem>
+            </SelectContent>
+          </Select>
+          {options.format === 'csv' ? (
+            <>
+              <Select value={options.values} onValueChange={(values) => update({ values })}>
+                <SelectTrigger size="sm" className="w-44">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(CSV_VALUE_MODES).map(([id, mode]) => (
+                    <SelectItem key={id} value={id}>{mode.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Select value={options.delimiter} onValueChange={(delimiter) => update({ delimiter })}>
+                <SelectTrigger size="sm" className="w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(CSV_DELIMITERS).map(([id, delimiter]) => (
+                    <SelectItem key={id} value={id}>{delimiter.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={options.bom}
+                  onChange={(e) => update({ bom: e.target.checked })}
+                  className="rounded"
+                />
+                Add BOM for Excel
+              </label>
+            </>
+          ) : (
+            <Select value={options.shape} onValueChange={(shape) => update({ shape })}>
+              <SelectTrigger size="sm" className="w-44">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(JSON_SHAPES).map(([id, shape]) => (
+                  <SelectItem key={id} value={id}>{shape.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+        </div>
+        <p className="text-xs text-gray-500">
+          {options.format === 'csv'
+            ? CSV_VALUE_MODES[options.values].description
+            : `${JSON_SHAPES[options.shape].description} Numbers are written as numbers and blanks as null.`}
+        </p>
+        <Button onClick={() => onExport(options)} className="brand-primary" disabled={disabled}>
+          <Download className="h-4 w-4 mr-2" />
+          Download {options.format.toUpperCase()}
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default DataExportPanel
@@ -0,0 +1,268 @@
+import { useMemo, useRef, useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { ArrowDown, ArrowUp, ArrowUpDown, ChevronLeft, ChevronRight, Search } from 'lucide-react'
+import { getColumnType } from '@/lib/column-types'
+import { createCellCache, describeColumns } from '@/lib/cell-cache'
+import { styleToCssProperties } from '@/lib/conditional-format'
+import { isNumericType, matchesColumnFilter } from '@/lib/table-query'
+
+// 0 means every row on one (virtualized) page
+const PAGE_SIZES = [25, 50, 100, 250, 1000, 0]
+
+// Fixed body row height (px) so visible rows can be computed from the scroll offset
+const ROW_HEIGHT = 46
+const VIEWPORT_HEIGHT = 600
+const OVERSCAN_ROWS = 8
+
+// Full preview of the formatted table with click-to-sort headers, per-column
+// filters, a global search box and pagination. Rows arrive already sorted by the
+// shared sort keys; headers edit those keys (shift-click adds a key). Range
+// filters use the typed raw values, not the formatted strings. The body is
+// virtualized and cells are formatted lazily, so only rows in view are rendered.
+// getCellStyle(row, column), when given, adds conditional formatting to cells.
+function DataGrid({ rows, columns, columnRenames, columnTypes, sortKeys, onSortChange, getCellStyle, pendingColumn, pendingLabel }) {
+  const [filters, setFilters] = useState({})
+  const [search, setSearch] = useState('')
+  const [page, setPage] = useState(0)
+  const [pageSize, setPageSize] = useState(100)
+  const [scrollTop, setScrollTop] = useState(0)
+  const viewportRef = useRef(null)
+  const cellCache = useRef(null)
+  if (!cellCache.current) cellCache.current = createCellCache()
+  const cells = cellCache.current
+
+  const columnInfo = useMemo(
+    () => describeColumns(columns, col => getColumnType(columnTypes, col)),
+    [columns, columnTypes]
+  )
+
+  // Only the columns something is filtered on, so unrelated column edits don't refilter
+  const activeFilters = useMemo(() => columnInfo.filter(column => {
+    const filter = filters[column.name]
+    return filter && Object.values(filter).some(value => value !== '' && value !== undefined)
+  }), [columnInfo, filters])
+
+  // Row indexes after search and filters
+  const visibleIndexes = useMemo(() => {
+    const query = search.trim().toLowerCase()
+    const indexes = rows.map((row, index) => index)
+    if (!query && activeFilters.length === 0) return indexes
+
+    return indexes.filter(index => {
+      const row = rows[index]
+      if (query && !columnInfo.some(column => String(cells.formatted(row, column)).toLowerCase().includes(query))) {
+        return false
+      }
+      return activeFilters.every(column => matchesColumnFilter(
+        row[column.name],
+        isNumericType(column.type) ? null : cells.formatted(row, column),
+        filters[column.name],
+        column.type
+      ))
+    })
+  }, [rows, columnInfo, activeFilters, filters, search, cells])
+
+  const effectivePageSize = pageSize || Math.max(1, visibleIndexes.length)
+  const pageCount = Math.max(1, Math.ceil(visibleIndexes.length / effectivePageSize))
+  const currentPage = Math.min(page, pageCount - 1)
+  const pageIndexes = visibleIndexes.slice(currentPage * effectivePageSize, (currentPage + 1) * effectivePageSize)
+
+  // Window of rows to render
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS)
+  const lastRow = Math.min(pageIndexes.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS)
+  const windowIndexes = pageIndexes.slice(firstRow, lastRow)
+
+  const goToPage = (newPage) => {
+    setPage(newPage)
+    setScrollTop(0)
+    if (viewportRef.current) viewportRef.current.scrollTop = 0
+  }
+
+  // Cycle ascending → descending → unsorted. A plain click makes this column the
+  // only key; shift-click adds it as the next key or cycles it in place.
+  const toggleSort = (column, additive) => {
+    const current = sortKeys.find(key => key.column === column)
+    const isOnlyKey = current && sortKeys.length === 1
+    if (!additive && !isOnlyKey) {
+      onSortChange([{ column, direction: 'asc' }])
+      return
+    }
+
+    if (!current) {
+      onSortChange([...sortKeys, { column, direction: 'asc' }])
+    } else if (current.direction === 'asc') {
+      onSortChange(sortKeys.map(key => key.column === column ? { column, direction: 'desc' } : key))
+    } else {
+      onSortChange(sortKeys.filter(key => key.column !== column))
+    }
+  }
+
+  const setFilter = (column, key, value) => {
+    setFilters(prev => ({ ...prev, [column]: { ...prev[column], [key]: value } }))
+    goToPage(0)
+  }
+
+  const renderSortIcon = (column) => {
+    const position = sortKeys.findIndex(key => key.column === column)
+    if (position === -1) return <ArrowUpDown className="h-3 w-3 opacity-50" />
+    return (
+      <>
+        {sortKeys[position].direction === 'asc' ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />}
+        {sortKeys.length > 1 && <span className="text-xs">{position + 1}</span>}
+      </>
+    )
+  }
+
+  const hasFilters = search || activeFilters.length > 0
+  const pageStart = currentPage * effectivePageSize
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative">
+          <Search className="h-4 w-4 absolute left-2 top-2.5 text-gray-400" />
+          <Input
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value)
+              goToPage(0)
+            }}
+            placeholder="Search all columns"
+            className="pl-8 w-64"
+          />
+        </div>
+        {hasFilters && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => {
+              setSearch('')
+              setFilters({})
+              goToPage(0)
+            }}
+          >
+            Clear filters
+          </Button>
+        )}
+      </div>
+      <div
+        ref={viewportRef}
+        className="overflow-auto"
+        style={{ maxHeight: VIEWPORT_HEIGHT }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table className="brand-table virtual-table">
+          <thead>
+            <tr>
+              {columns.map(col => (
+                <th key={col}>
+                  <button
+                    type="button"
+                    onClick={(e) => toggleSort(col, e.shiftKey)}
+                    className="flex items-center gap-1"
+                    title="Click to sort, shift-click to add a sort key"
+                  >
+                    {columnRenames[col] || col}
+                    {renderSortIcon(col)}
+                  </button>
+                </th>
+              ))}
+            </tr>
+            <tr>
+              {columnInfo.map(column => (
+                <td key={column.name} className="bg-white">
+                  {isNumericType(column.type) ? (
+                    <div className="flex gap-1">
+                      <Input
+                        type="number"
+                        value={filters[column.name]?.min ?? ''}
+                        onChange={(e) => setFilter(column.name, 'min', e.target.value)}
+                        placeholder="Min"
+                        className="h-7 min-w-16 text-xs"
+                      />
+                      <Input
+                        type="number"
+                        value={filters[column.name]?.max ?? ''}
+                        onChange={(e) => setFilter(column.name, 'max', e.target.value)}
+                        placeholder="Max"
+                        className="h-7 min-w-16 text-xs"
+                      />
+                    </div>
+                  ) : (
+                    <Input
+                      value={filters[column.name]?.text ?? ''}
+                      onChange={(e) => setFilter(column.name, 'text', e.target.value)}
+                      placeholder="Filter"
+                      className="h-7 min-w-24 text-xs"
+                    />
+                  )}
+                </td>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            <tr aria-hidden="true" style={{ height: firstRow * ROW_HEIGHT }} />
+            {/* Keeps the zebra striping (tr:nth-child(even)) tied to the row index, not the window start */}
+            {firstRow % 2 === 0 && <tr aria-hidden="true" />}
+            {windowIndexes.map(index => {
+              const row = rows[index]
+              return (
+                <tr key={index} style={{ height: ROW_HEIGHT }}>
+                  {columnInfo.map(column => {
+                    const value = cells.formatted(row, column)
+                    const style = getCellStyle ? getCellStyle(row, column.name) : null
+                    return (
+                      <td key={column.name} style={styleToCssProperties(style) || undefined}>
+                        {style?.icon && (
+                          <span className="mr-1" style={{ color: style.icon.color }}>{style.icon.glyph}</span>
+                        )}
+                        {column.name === pendingColumn && !value
+                          ? <span className="text-gray-400 italic">{pendingLabel}</span>
+                          : value}
+                      </td>
+                    )
+                  })}
+                </tr>
+              )
+            })}
+            <tr aria-hidden="true" style={{ height: (pageIndexes.length - lastRow) * ROW_HEIGHT }} />
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-500">
+        <span>
+          {visibleIndexes.length === 0
+            ? 'No matching rows'
+            : `Showing ${(pageStart + 1).toLocaleString()}–${(pageStart + pageIndexes.length).toLocaleString()} of ${visibleIndexes.length.toLocaleString()} rows`}
+          {visibleIndexes.length !== rows.length && ` (filtered from ${rows.length.toLocaleString()})`}
+        </span>
+        <div className="ml-auto flex items-center gap-2">
+          <Select value={String(pageSize)} onValueChange={(value) => {
+            setPageSize(Number(value))
+            goToPage(0)
+          }}>
+            <SelectTrigger size="sm" className="w-28">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {PAGE_SIZES.map(size => (
+                <SelectItem key={size} value={String(size)}>{size ? `${size} / page` : 'All rows'}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button variant="outline" size="sm" onClick={() => goToPage(currentPage - 1)} disabled={currentPage === 0} aria-label="Previous page">
+            <ChevronLeft className="h-4 w-4" />
+          </Button>
+          <span>Page {currentPage + 1} of {pageCount}</span>
+          <Button variant="outline" size="sm" onClick={() => goToPage(currentPage + 1)} disabled={currentPage >= pageCount - 1} aria-label="Next page">
+            <ChevronRight className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DataGrid
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Download, ImageDown, X } from 'lucide-react'
+
+const SCALES = [1, 2, 3, 4]
+
+// Format, scale and row range for the table image
+function ImageExportPanel({ rowCount, disabled, onExport, onClose }) {
+  const [format, setFormat] = useState('png')
+  const [scale, setScale] = useState(2)
+  const [from, setFrom] = useState('1')
+  const [to, setTo] = useState('')
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ImageDown className="h-5 w-5" />
+          Table Image
+          <Button variant="ghost" size="sm" className="ml-auto" onClick={onClose} aria-label="Close image options">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+        <CardDescription>
+          The styled table as a high-resolution PNG or a vector SVG. Rows are numbered in the current
+          sort order (1–{rowCount.toLocaleString()}).
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={format} onValueChange={setFormat}>
+            <SelectTrigger size="sm" className="w-24">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="png">PNG</SelectItem>
+              <SelectItem value="svg">SVG</SelectItem>
+            </SelectContent>
+          </Select>
+          {format === 'png' && (
+            <Select value={String(scale)} onValueChange={(value) => setScale(Number(value))}>
+              <SelectTrigger size="sm" className="w-24">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {SCALES.map(value => <SelectItem key={value} value={String(value)}>{value}×</SelectItem>)}
+              </SelectContent>
+            </Select>
+          )}
+          <label className="flex items-center gap-1 text-sm">
+            Rows
+            <Input
+              type="number"
+              min={1}
+              max={rowCount}
+              value={from}
+              onChange={(e) => setFrom(e.target.value)}
+              className="h-8 w-24"
+            />
+          </label>
+          <label className="flex items-center gap-1 text-sm">
+            to
+            <Input
+              type="number"
+              min={1}
+              max={rowCount}
+              value={to}
+              onChange={(e) => setTo(e.target.value)}
+              placeholder="Last"
+              className="h-8 w-24"
+            />
+          </label>
+        </div>
+        <Button onClick={() => onExport({ format, scale, rowRange: { from, to } })} className="brand-primary" disabled={disabled}>
+          <Download className="h-4 w-4 mr-2" />
+          Download {format.toUpperCase()}
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ImageExportPanel
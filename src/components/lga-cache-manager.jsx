@@ -0,0 +1,142 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Database, Download, Upload, Trash2, X } from 'lucide-react'
+import { exportLgaCacheJson, parseLgaCacheJson } from '@/lib/lga-cache'
+import { downloadFile } from '@/lib/download'
+
+// Rows rendered at once; search narrows the list for larger caches
+const MAX_VISIBLE_ENTRIES = 200
+
+// View, search, edit, clear and export/import the persisted suburb → LGA cache
+function LgaCacheManager({ entries, onEdit, onDelete, onClear, onImport, onClose }) {
+  const [search, setSearch] = useState('')
+  const [importError, setImportError] = useState('')
+
+  const query = search.trim().toLowerCase()
+  const filteredEntries = entries
+    .filter(entry => !query || [entry.suburb, entry.state, entry.postcode, entry.lga]
+      .some(value => String(value || '').toLowerCase().includes(query)))
+    .sort((a, b) => a.suburb.localeCompare(b.suburb))
+
+  const handleExport = () => {
+    downloadFile(exportLgaCacheJson(entries), 'lga-cache.json', 'application/json')
+  }
+
+  const handleImport = async (file) => {
+    if (!file) return
+    try {
+      onImport(parseLgaCacheJson(await file.text()))
+      setImportError('')
+    } catch (error) {
+      console.error('Error importing LGA cache:', error)
+      setImportError(error.message)
+    }
+  }
+
+  const handleClear = () => {
+    if (window.confirm(`Remove all ${entries.length} cached LGA entries?`)) {
+      onClear()
+    }
+  }
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Database className="h-5 w-5" />
+          LGA Cache
+          <Button variant="ghost" size="sm" className="ml-auto" onClick={onClose} aria-label="Close LGA cache">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+        <CardDescription>
+          {entries.length} resolved suburbs are stored in this browser and reused across sessions. Failed lookups expire after 7 days.
+        </CardDescription>
+        <div className="flex flex-wrap gap-2">
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search suburb, state, postcode or LGA"
+            className="w-72"
+          />
+          <Button variant="outline" onClick={handleExport} disabled={entries.length === 0}>
+            <Download className="h-4 w-4 mr-2" />
+            Export JSON
+          </Button>
+          <input
+            type="file"
+            accept=".json"
+            onChange={(e) => handleImport(e.target.files[0])}
+            className="hidden"
+            id="lga-cache-import"
+          />
+          <Button variant="outline" onClick={() => document.getElementById('lga-cache-import').click()}>
+            <Upload className="h-4 w-4 mr-2" />
+            Import JSON
+          </Button>
+          <Button variant="outline" onClick={handleClear} disabled={entries.length === 0} className="ml-auto">
+            <Trash2 className="h-4 w-4 mr-2" />
+            Clear cache
+          </Button>
+        </div>
+        {importError && <p className="text-xs text-red-600">{importError}</p>}
+      </CardHeader>
+      <CardContent>
+        <div className="overflow-x-auto max-h-96">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4">Suburb</th>
+                <th className="py-2 pr-4">State / Postcode</th>
+                <th className="py-2 pr-4">LGA</th>
+                <th className="py-2 pr-4">Source</th>
+                <th className="py-2 pr-4">Updated</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody>
+              {filteredEntries.slice(0, MAX_VISIBLE_ENTRIES).map(entry => (
+                <tr key={`${entry.key}-${entry.updatedAt}`} className="border-t">
+                  <td className="py-1 pr-4">{entry.suburb}</td>
+                  <td className="py-1 pr-4">{entry.state || entry.postcode}</td>
+                  <td className="py-1 pr-4">
+                    <Input
+                      defaultValue={entry.lga}
+                      onBlur={(e) => {
+                        const lga = e.target.value.trim()
+                        if (lga && lga !== entry.lga) onEdit(entry.key, lga)
+                      }}
+                      className="h-8"
+                    />
+                  </td>
+                  <td className="py-1 pr-4">
+                    <Badge variant={entry.lga === 'N/A' ? 'destructive' : 'secondary'}>{entry.source}</Badge>
+                  </td>
+                  <td className="py-1 pr-4 text-gray-500">{new Date(entry.updatedAt).toLocaleDateString()}</td>
+                  <td className="py-1">
+                    <Button variant="ghost" size="sm" onClick={() => onDelete(entry.key)} aria-label={`Remove ${entry.suburb}`}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {filteredEntries.length > MAX_VISIBLE_ENTRIES && (
+            <p className="text-sm text-gray-500 mt-2">
+              Showing first {MAX_VISIBLE_ENTRIES} of {filteredEntries.length} matching entries - refine the search to see more
+            </p>
+          )}
+          {filteredEntries.length === 0 && (
+            <p className="text-sm text-gray-500 mt-2">No cached entries{query && ' match your search'}.</p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default LgaCacheManager
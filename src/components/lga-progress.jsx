@@ -0,0 +1,34 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Progress } from '@/components/ui/progress.jsx'
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.max(1, Math.round(ms / 1000))
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`
+}
+
+// Progress bar, counts and ETA for a running LGA batch lookup
+function LgaProgress({ progress, onCancel }) {
+  const { processed, total, startedAt } = progress
+  const percent = total > 0 ? (processed / total) * 100 : 0
+  const elapsed = Date.now() - startedAt
+  const eta = processed > 0 ? (elapsed / processed) * (total - processed) : null
+
+  return (
+    <div className="p-3 bg-blue-50 border border-blue-200 rounded-md space-y-2">
+      <div className="flex items-center gap-2 text-sm text-blue-700">
+        <span>🔍 Looking up LGA information: {processed.toLocaleString()} of {total.toLocaleString()} suburbs</span>
+        {eta !== null && processed < total && (
+          <span className="text-blue-500">- about {formatDuration(eta)} remaining</span>
+        )}
+        <Button size="sm" variant="outline" className="ml-auto h-7" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+      <Progress value={percent} />
+    </div>
+  )
+}
+
+export default LgaProgress
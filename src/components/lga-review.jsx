@@ -0,0 +1,122 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { ClipboardCheck, X } from 'lucide-react'
+import { CONFIDENCE_BADGES, needsReview } from '@/lib/lga-review'
+
+// Lists every suburb with its resolved LGA so wrong or missing values can be corrected.
+// Corrections are saved as overrides and reused in later sessions.
+function LgaReview({ entries, lgaOptions, onOverride, onResetOverride, onClose }) {
+  const [onlyFlagged, setOnlyFlagged] = useState(true)
+  const [drafts, setDrafts] = useState({})
+
+  const flaggedCount = entries.filter(needsReview).length
+  const visibleEntries = (onlyFlagged ? entries.filter(needsReview) : entries)
+    .slice()
+    .sort((a, b) => a.suburb.localeCompare(b.suburb))
+
+  const saveDraft = (entry) => {
+    const lga = (drafts[entry.key] ?? '').trim()
+    if (!lga) return
+    onOverride(entry, lga)
+    setDrafts(prev => {
+      const next = { ...prev }
+      delete next[entry.key]
+      return next
+    })
+  }
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardCheck className="h-5 w-5" />
+          LGA Review
+          <Button variant="ghost" size="sm" className="ml-auto" onClick={onClose} aria-label="Close LGA review">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+        <CardDescription>
+          {entries.length} suburbs, {flaggedCount} flagged for review (missing, low confidence or disagreeing with the offline table).
+          Corrections are remembered for future uploads.
+        </CardDescription>
+        <label className="flex items-center gap-2 text-sm">
+          <input
+            type="checkbox"
+            checked={onlyFlagged}
+            onChange={(e) => setOnlyFlagged(e.target.checked)}
+            className="rounded"
+          />
+          Only show suburbs that need review
+        </label>
+      </CardHeader>
+      <CardContent>
+        <datalist id="lga-options">
+          {lgaOptions.map(lga => <option key={lga} value={lga} />)}
+        </datalist>
+        <div className="overflow-x-auto max-h-[32rem]">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 pr-4">Suburb</th>
+                <th className="py-2 pr-4">State / Postcode</th>
+                <th className="py-2 pr-4">Rows</th>
+                <th className="py-2 pr-4">Resolved LGA</th>
+                <th className="py-2 pr-4">Source</th>
+                <th className="py-2 pr-4">Confidence</th>
+                <th className="py-2">Correct LGA</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleEntries.map(entry => {
+                const badge = CONFIDENCE_BADGES[entry.confidence]
+                return (
+                  <tr key={entry.key} className="border-t align-top">
+                    <td className="py-2 pr-4">{entry.suburb}</td>
+                    <td className="py-2 pr-4">{[entry.state, entry.postcode].filter(Boolean).join(' ')}</td>
+                    <td className="py-2 pr-4">{entry.rowCount}</td>
+                    <td className="py-2 pr-4">
+                      {entry.lga || <span className="text-gray-400 italic">Pending…</span>}
+                      {entry.conflict && (
+                        <p className="text-xs text-amber-600">Offline table says {entry.tableLga}</p>
+                      )}
+                    </td>
+                    <td className="py-2 pr-4"><Badge variant="secondary">{entry.source}</Badge></td>
+                    <td className="py-2 pr-4"><Badge variant={badge.variant}>{badge.label}</Badge></td>
+                    <td className="py-2">
+                      <div className="flex gap-2">
+                        <Input
+                          list="lga-options"
+                          value={drafts[entry.key] ?? ''}
+                          onChange={(e) => setDrafts(prev => ({ ...prev, [entry.key]: e.target.value }))}
+                          onKeyDown={(e) => e.key === 'Enter' && saveDraft(entry)}
+                          placeholder={entry.conflict ? entry.tableLga : 'Type or pick an LGA'}
+                          className="h-8 w-56"
+                        />
+                        <Button size="sm" variant="outline" className="h-8" onClick={() => saveDraft(entry)}>
+                          Save
+                        </Button>
+                        {entry.source === 'manual' && (
+                          <Button size="sm" variant="ghost" className="h-8" onClick={() => onResetOverride(entry)}>
+                            Reset
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+          {visibleEntries.length === 0 && (
+            <p className="text-sm text-gray-500 mt-2">Nothing needs review.</p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default LgaReview
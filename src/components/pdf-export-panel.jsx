@@ -0,0 +1,92 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Download, FileText, X } from 'lucide-react'
+import { PAGE_SIZES } from '@/lib/pdf-document'
+import { WIDE_TABLE_MODES } from '@/lib/pdf-report'
+
+// Page setup for the PDF report; the file itself is built in the table worker
+function PdfExportPanel({ layout, rowCount, disabled, onChange, onExport, onClose }) {
+  const update = (change) => onChange({ ...layout, ...change })
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <FileText className="h-5 w-5" />
+          PDF Report
+          <Button variant="ghost" size="sm" className="ml-auto" onClick={onClose} aria-label="Close PDF options">
+            <X className="h-4 w-4" />
+          </Button>
+        </CardTitle>
+        <CardDescription>
+          {rowCount.toLocaleString()} rows in the current sort order. The header row repeats on every page
+          and pages are numbered in the footer.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="grid gap-3 md:grid-cols-2">
+          <label className="flex flex-col gap-1 text-sm">
+            Title
+            <Input value={layout.title} onChange={(e) => update({ title: e.target.value })} />
+          </label>
+          <label className="flex flex-col gap-1 text-sm">
+            Subtitle
+            <Input
+              value={layout.subtitle}
+              onChange={(e) => update({ subtitle: e.target.value })}
+              placeholder="Optional"
+            />
+          </label>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={layout.pageSize} onValueChange={(pageSize) => update({ pageSize })}>
+            <SelectTrigger size="sm" className="w-28">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(PAGE_SIZES).map(([id, size]) => (
+                <SelectItem key={id} value={id}>{size.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={layout.orientation} onValueChange={(orientation) => update({ orientation })}>
+            <SelectTrigger size="sm" className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="portrait">Portrait</SelectItem>
+              <SelectItem value="landscape">Landscape</SelectItem>
+            </SelectContent>
+          </Select>
+          <Select value={layout.wideTables} onValueChange={(wideTables) => update({ wideTables })}>
+            <SelectTrigger size="sm" className="w-64">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(WIDE_TABLE_MODES).map(([id, mode]) => (
+                <SelectItem key={id} value={id}>{mode.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={layout.showDate}
+              onChange={(e) => update({ showDate: e.target.checked })}
+              className="rounded"
+            />
+            Show today's date
+          </label>
+        </div>
+        <Button onClick={onExport} className="brand-primary" disabled={disabled}>
+          <Download className="h-4 w-4 mr-2" />
+          Download PDF
+        </Button>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default PdfExportPanel
@@ -0,0 +1,110 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Bookmark, Download, Upload, Trash2 } from 'lucide-react'
+import { exportPresetsJson, parsePresetsJson } from '@/lib/presets'
+import { downloadFile } from '@/lib/download'
+
+const presetFileName = (name) => `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset'}.json`
+
+// Save the current column layout as a named preset and re-apply it in one click
+function PresetManager({ presets, activePresetId, onSave, onApply, onDelete, onImport }) {
+  const [name, setName] = useState('')
+  const [importError, setImportError] = useState('')
+
+  const handleSave = () => {
+    const trimmed = name.trim()
+    if (!trimmed) return
+    onSave(trimmed)
+    setName('')
+  }
+
+  const handleImport = async (file) => {
+    if (!file) return
+    try {
+      onImport(parsePresetsJson(await file.text()))
+      setImportError('')
+    } catch (error) {
+      console.error('Error importing presets:', error)
+      setImportError(error.message)
+    }
+  }
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Bookmark className="h-5 w-5" />
+          Column Presets
+        </CardTitle>
+        <CardDescription>
+          Save the selected columns, their order, renames and formats, then apply them to later uploads
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap gap-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="Preset name, e.g. Weekly suburb report"
+            className="w-72"
+          />
+          <Button onClick={handleSave} disabled={!name.trim()} className="brand-primary">
+            Save preset
+          </Button>
+          <input
+            type="file"
+            accept=".json"
+            onChange={(e) => handleImport(e.target.files[0])}
+            className="hidden"
+            id="preset-import"
+          />
+          <Button variant="outline" onClick={() => document.getElementById('preset-import').click()} className="ml-auto">
+            <Upload className="h-4 w-4 mr-2" />
+            Import
+          </Button>
+          <Button
+            variant="outline"
+            onClick={() => downloadFile(exportPresetsJson(presets), 'column-presets.json', 'application/json')}
+            disabled={presets.length === 0}
+          >
+            <Download className="h-4 w-4 mr-2" />
+            Export all
+          </Button>
+        </div>
+        {importError && <p className="text-xs text-red-600">{importError}</p>}
+        {presets.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {presets.map(preset => (
+              <div key={preset.id} className="flex items-center gap-1 border rounded-lg pl-1 pr-1 bg-white">
+                <Button
+                  size="sm"
+                  variant={preset.id === activePresetId ? 'default' : 'ghost'}
+                  onClick={() => onApply(preset)}
+                  title={`${preset.selectedColumns.length} columns`}
+                >
+                  {preset.name}
+                </Button>
+                <Button
+                  size="sm"
+                  variant="ghost"
+                  onClick={() => downloadFile(exportPresetsJson([preset]), presetFileName(preset.name), 'application/json')}
+                  aria-label={`Export ${preset.name}`}
+                >
+                  <Download className="h-3 w-3" />
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => onDelete(preset.id)} aria-label={`Delete ${preset.name}`}>
+                  <Trash2 className="h-3 w-3" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default PresetManager
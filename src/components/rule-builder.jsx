@@ -0,0 +1,156 @@
+import { useState } from 'react'
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Badge } from '@/components/ui/badge.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Filter, Plus, Trash2, X } from 'lucide-react'
+import { RULE_OPERATORS, countRules, createRule, createRuleGroup, isRuleGroup, updateRuleTree } from '@/lib/row-rules'
+
+// AND/OR rule groups that decide which rows reach the preview and exports.
+// Rules compare raw values, and rule sets can be saved for later uploads.
+function RuleBuilder({ rules, columns, matchCount, totalCount, ruleSets, onChange, onSaveRuleSet, onApplyRuleSet, onDeleteRuleSet }) {
+  const [name, setName] = useState('')
+
+  const update = (id, change) => onChange(updateRuleTree(rules, id, item => ({ ...item, ...change })))
+  const remove = (id) => onChange(updateRuleTree(rules, id, () => null))
+  const addTo = (groupId, item) => onChange(updateRuleTree(rules, groupId, group => ({ ...group, rules: [...group.rules, item] })))
+
+  const handleSave = () => {
+    const trimmed = name.trim()
+    if (!trimmed) return
+    onSaveRuleSet(trimmed)
+    setName('')
+  }
+
+  const renderRule = (rule) => {
+    const operator = RULE_OPERATORS[rule.operator]
+    return (
+      <div key={rule.id} className="flex flex-wrap items-center gap-2">
+        <Select value={rule.column || undefined} onValueChange={(column) => update(rule.id, { column })}>
+          <SelectTrigger size="sm" className="w-56">
+            <SelectValue placeholder="Column" />
+          </SelectTrigger>
+          <SelectContent>
+            {columns.map(col => <SelectItem key={col} value={col}>{col}</SelectItem>)}
+            {rule.column && !columns.includes(rule.column) && (
+              <SelectItem value={rule.column}>{rule.column} (not in this file)</SelectItem>
+            )}
+          </SelectContent>
+        </Select>
+        <Select value={rule.operator} onValueChange={(value) => update(rule.id, { operator: value })}>
+          <SelectTrigger size="sm" className="w-36">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(RULE_OPERATORS).map(([id, op]) => (
+              <SelectItem key={id} value={id}>{op.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {!operator.noValue && (
+          <Input
+            value={rule.value}
+            onChange={(e) => update(rule.id, { value: e.target.value })}
+            placeholder={operator.hint || 'Value'}
+            className="h-8 w-56"
+          />
+        )}
+        <Button size="sm" variant="ghost" onClick={() => remove(rule.id)} aria-label="Remove rule">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+    )
+  }
+
+  const renderGroup = (group, isRoot) => (
+    <div key={group.id} className={isRoot ? 'space-y-2' : 'space-y-2 border-l-2 border-gray-200 pl-4'}>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span>Keep rows matching</span>
+        <Select value={group.combinator} onValueChange={(combinator) => update(group.id, { combinator })}>
+          <SelectTrigger size="sm" className="w-24">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="and">all</SelectItem>
+            <SelectItem value="or">any</SelectItem>
+          </SelectContent>
+        </Select>
+        <span>of these rules</span>
+        {!isRoot && (
+          <Button size="sm" variant="ghost" onClick={() => remove(group.id)} aria-label="Remove group">
+            <Trash2 className="h-3 w-3" />
+          </Button>
+        )}
+      </div>
+      {group.rules.map(item => isRuleGroup(item) ? renderGroup(item, false) : renderRule(item))}
+      <div className="flex gap-2">
+        <Button size="sm" variant="outline" onClick={() => addTo(group.id, createRule())}>
+          <Plus className="h-3 w-3 mr-1" />
+          Add rule
+        </Button>
+        {isRoot && (
+          <Button size="sm" variant="outline" onClick={() => addTo(group.id, { ...createRuleGroup('or'), rules: [createRule()] })}>
+            <Plus className="h-3 w-3 mr-1" />
+            Add group
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+
+  const activeRules = countRules(rules)
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Filter className="h-5 w-5" />
+          Row Filters
+          {activeRules > 0 && (
+            <Badge variant="secondary">{matchCount.toLocaleString()} of {totalCount.toLocaleString()} rows</Badge>
+          )}
+        </CardTitle>
+        <CardDescription>
+          Only rows matching these rules are previewed and exported. Numbers are compared as shown in the table, e.g. Vacancy Rate &lt; 1 for under 1%.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {renderGroup(rules, true)}
+        <div className="flex flex-wrap items-center gap-2 border-t pt-4">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder="Rule set name, e.g. Investable suburbs"
+            className="w-72"
+          />
+          <Button onClick={handleSave} disabled={!name.trim() || activeRules === 0} variant="outline">
+            Save rule set
+          </Button>
+          {activeRules > 0 && (
+            <Button variant="ghost" onClick={() => onChange(createRuleGroup())} className="ml-auto">
+              Clear rules
+            </Button>
+          )}
+        </div>
+        {ruleSets.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {ruleSets.map(ruleSet => (
+              <div key={ruleSet.id} className="flex items-center gap-1 border rounded-lg pl-1 pr-1 bg-white">
+                <Button size="sm" variant="ghost" onClick={() => onApplyRuleSet(ruleSet)} title={`${countRules(ruleSet.rules)} rules`}>
+                  {ruleSet.name}
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => onDeleteRuleSet(ruleSet.id)} aria-label={`Delete ${ruleSet.name}`}>
+                  <Trash2 className="h-3 w-3" />
+                </Button>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
+
+export default RuleBuilder
@@ -0,0 +1,111 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Input } from '@/components/ui/input.jsx'
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { Plus, Trophy, X } from 'lucide-react'
+import { NORMALIZATIONS, RANK_COLUMN, SCORE_COLUMN, getActiveMetrics } from '@/lib/scoring'
+
+// Choose metrics, weights and directions for the weighted Score and Rank columns.
+// scoreColumns holds the names they're written to, renamed when the file already
+// has a Score or Rank column.
+function ScoringPanel({ config, columns, scoreColumns, onChange }) {
+  const renamed = scoreColumns.score !== SCORE_COLUMN || scoreColumns.rank !== RANK_COLUMN
+  const usedColumns = config.metrics.map(metric => metric.column)
+  const activeMetrics = getActiveMetrics(config)
+  const totalWeight = activeMetrics.reduce((sum, metric) => sum + Number(metric.weight), 0)
+
+  const updateMetric = (index, change) => onChange({
+    ...config,
+    metrics: config.metrics.map((metric, i) => i === index ? { ...metric, ...change } : metric)
+  })
+
+  const addMetric = () => {
+    const column = columns.find(col => !usedColumns.includes(col)) || ''
+    onChange({ ...config, metrics: [...config.metrics, { column, weight: 1, direction: 'higher' }] })
+  }
+
+  return (
+    <Card className="mb-8">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Trophy className="h-5 w-5" />
+          Investment Score
+        </CardTitle>
+        <CardDescription>
+          Combine metrics into a weighted {scoreColumns.score} column and a {scoreColumns.rank} column (1 is best).
+          Scores and ranks are worked out over the rows that pass the filter rules.
+          The weights are included with HTML and Excel exports.
+          {renamed && ` The table already has a ${SCORE_COLUMN} or ${RANK_COLUMN} column, so the results are written to ${scoreColumns.score} and ${scoreColumns.rank}.`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        {config.metrics.map((metric, index) => {
+          const share = totalWeight > 0 && Number(metric.weight) > 0 ? Number(metric.weight) / totalWeight : 0
+          return (
+            <div key={index} className="flex flex-wrap items-center gap-2">
+              <Select value={metric.column || undefined} onValueChange={(column) => updateMetric(index, { column })}>
+                <SelectTrigger size="sm" className="w-56">
+                  <SelectValue placeholder="Metric" />
+                </SelectTrigger>
+                <SelectContent>
+                  {columns
+                    .filter(col => col === metric.column || !usedColumns.includes(col))
+                    .map(col => <SelectItem key={col} value={col}>{col}</SelectItem>)}
+                </SelectContent>
+              </Select>
+              <label className="flex items-center gap-1 text-xs text-gray-600">
+                Weight
+                <Input
+                  type="number"
+                  min={0}
+                  step="any"
+                  value={metric.weight}
+                  onChange={(e) => updateMetric(index, { weight: e.target.value })}
+                  className="h-8 w-20"
+                />
+              </label>
+              <Select value={metric.direction} onValueChange={(direction) => updateMetric(index, { direction })}>
+                <SelectTrigger size="sm" className="w-40">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="higher">Higher is better</SelectItem>
+                  <SelectItem value="lower">Lower is better</SelectItem>
+                </SelectContent>
+              </Select>
+              <span className="text-xs text-gray-500 w-12">{Math.round(share * 100)}%</span>
+              <Button
+                size="sm"
+                variant="ghost"
+                onClick={() => onChange({ ...config, metrics: config.metrics.filter((_, i) => i !== index) })}
+                aria-label="Remove metric"
+              >
+                <X className="h-4 w-4" />
+              </Button>
+            </div>
+          )
+        })}
+        <div className="flex flex-wrap items-center gap-2">
+          <Button size="sm" variant="outline" onClick={addMetric} disabled={usedColumns.length >= columns.length}>
+            <Plus className="h-3 w-3 mr-1" />
+            Add metric
+          </Button>
+          <span className="text-sm ml-4">Normalisation:</span>
+          <Select value={config.normalization} onValueChange={(normalization) => onChange({ ...config, normalization })}>
+            <SelectTrigger size="sm" className="w-44">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(NORMALIZATIONS).map(([id, normalization]) => (
+                <SelectItem key={id} value={id}>{normalization.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <span className="text-xs text-gray-500">{NORMALIZATIONS[config.normalization].description}</span>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+export default ScoringPanel
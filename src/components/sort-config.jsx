@@ -0,0 +1,69 @@
+import { Button } from '@/components/ui/button.jsx'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select.jsx'
+import { ArrowDown, ArrowUp, Plus, X } from 'lucide-react'
+
+// Ordered sort keys shared by the preview and every export
+function SortConfig({ sortKeys, columns, columnRenames, onChange }) {
+  const usedColumns = sortKeys.map(key => key.column)
+  const availableColumns = columns.filter(col => !usedColumns.includes(col))
+
+  const updateKey = (index, change) => onChange(sortKeys.map((key, i) => i === index ? { ...key, ...change } : key))
+
+  const moveKey = (index, offset) => {
+    const next = [...sortKeys]
+    const [key] = next.splice(index, 1)
+    next.splice(index + offset, 0, key)
+    onChange(next)
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      {sortKeys.map((key, index) => (
+        <div key={key.column} className="flex items-center gap-1 border rounded-lg pl-2 pr-1 bg-white">
+          <span className="text-gray-500">{index === 0 ? 'Sort by' : 'then'}</span>
+          <Select value={key.column} onValueChange={(column) => updateKey(index, { column })}>
+            <SelectTrigger size="sm" className="border-0 shadow-none">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {[key.column, ...availableColumns].map(col => (
+                <SelectItem key={col} value={col}>{columnRenames[col] || col}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Select value={key.direction} onValueChange={(direction) => updateKey(index, { direction })}>
+            <SelectTrigger size="sm" className="w-32 border-0 shadow-none">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="asc">Ascending</SelectItem>
+              <SelectItem value="desc">Descending</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button size="sm" variant="ghost" onClick={() => moveKey(index, -1)} disabled={index === 0} aria-label="Move sort key up">
+            <ArrowUp className="h-3 w-3" />
+          </Button>
+          <Button size="sm" variant="ghost" onClick={() => moveKey(index, 1)} disabled={index === sortKeys.length - 1} aria-label="Move sort key down">
+            <ArrowDown className="h-3 w-3" />
+          </Button>
+          <Button size="sm" variant="ghost" onClick={() => onChange(sortKeys.filter((_, i) => i !== index))} aria-label="Remove sort key">
+            <X className="h-3 w-3" />
+          </Button>
+        </div>
+      ))}
+      {availableColumns.length > 0 && (
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => onChange([...sortKeys, { column: availableColumns[0], direction: 'asc' }])}
+        >
+          <Plus className="h-3 w-3 mr-1" />
+          {sortKeys.length === 0 ? 'Add sort' : 'Add sort key'}
+        </Button>
+      )}
+      {sortKeys.length === 0 && <span className="text-gray-500">Rows keep their file order</span>}
+    </div>
+  )
+}
+
+export default SortConfig
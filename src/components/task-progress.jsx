@@ -0,0 +1,19 @@
+import { Progress } from '@/components/ui/progress.jsx'
+
+// Progress bar for parsing and export work running in the table worker
+function TaskProgress({ task }) {
+  const { label, processed, total } = task
+  const percent = total > 0 ? (processed / total) * 100 : 0
+
+  return (
+    <div className="p-3 bg-gray-50 border rounded-md space-y-2">
+      <div className="flex items-center gap-2 text-sm text-gray-600">
+        <span>{label}…</span>
+        <span className="ml-auto">{Math.round(percent)}%</span>
+      </div>
+      <Progress value={percent} />
+    </div>
+  )
+}
+
+export default TaskProgress
@@ -0,0 +1,101 @@
+import { compileFormula, formatFormulaResult, renameFormulaColumn } from '@/lib/formula'
+import { loadStored, saveStored } from '@/lib/storage'
+
+// User-defined formula columns, saved in localStorage so they apply to every upload.
+// Definition: { id, name, expression, columnType: { type, options } }
+
+const STORAGE_KEY = 'csv-table-formatter:calculated-columns'
+
+export const loadCalculatedColumns = () => loadStored(STORAGE_KEY, [], Array.isArray)
+
+export const saveCalculatedColumns = (definitions) => saveStored(STORAGE_KEY, definitions)
+
+// Definitions after renaming a calculated column, with formulas that used the old
+// name pointing at the new one
+export const renameCalculatedColumn = (definitions, from, to) => definitions.map(definition => ({
+  ...definition,
+  expression: renameFormulaColumn(definition.expression, from, to)
+}))
+
+export const createCalculatedColumn = (name, expression, columnType) => ({
+  id: crypto.randomUUID(),
+  name,
+  expression,
+  columnType
+})
+
+// Format registry entries for the calculated columns, layered over existing ones
+export const getCalculatedColumnTypes = (definitions) =>
+  Object.fromEntries(definitions.map(definition => [definition.name, definition.columnType]))
+
+// Compiled formulas in definition order; ones that no longer parse are skipped.
+// Results are cached per source row for as long as this compiled set is in use.
+export const compileCalculatedColumns = (definitions) => ({
+  columns: definitions.flatMap(definition => {
+    try {
+      return [{ name: definition.name, evaluate: compileFormula(definition.expression).evaluate }]
+    } catch (error) {
+      console.warn(`Skipping calculated column "${definition.name}":`, error)
+      return []
+    }
+  }),
+  cache: new WeakMap(),
+  skipped: new Set()
+})
+
+// Names of the calculated columns a formula may use: the ones defined above it,
+// since columns are evaluated in order. That also rules out self-references and
+// cycles. A new definition (not in the list yet) may use all of them.
+export const getEarlierColumnNames = (definitions, id) => {
+  const index = definitions.findIndex(definition => definition.id === id)
+  return (index === -1 ? definitions : definitions.slice(0, index)).map(definition => definition.name)
+}
+
+// Calculated columns defined below this one that its formula uses; they'd still be
+// empty when it's evaluated
+export const findLaterReferences = (definitions, definition) => {
+  const index = definitions.findIndex(d => d.id === definition.id)
+  if (index === -1) return []
+  let columns
+  try {
+    columns = compileFormula(definition.expression).columns
+  } catch {
+    return []
+  }
+  const laterNames = definitions.slice(index + 1).map(d => d.name)
+  return columns.filter(col => laterNames.includes(col))
+}
+
+// Calculated columns sharing a name with a loaded column. The loaded column wins;
+// definitions are global, so a later upload can bring a clashing header.
+export const findColumnConflicts = (definitions, fileColumns) =>
+  definitions.filter(definition => fileColumns.includes(definition.name))
+
+// Rows with calculated values added. Later columns can use earlier ones. Rows that
+// didn't change (e.g. while LGAs fill in) keep their identity and aren't recalculated.
+// Columns the loaded data already has are never overwritten.
+export const applyCalculatedColumns = (rows, { columns, cache, skipped }) => {
+  if (!rows || columns.length === 0) return rows
+
+  const applicable = columns.filter(column => {
+    if (rows.length === 0 || !Object.hasOwn(rows[0], column.name)) return true
+    if (!skipped.has(column.name)) {
+      skipped.add(column.name)
+      console.warn(`Skipping calculated column "${column.name}": the data already has a column with that name`)
+    }
+    return false
+  })
+  if (applicable.length === 0) return rows
+
+  return rows.map(row => {
+    let result = cache.get(row)
+    if (!result) {
+      result = { ...row }
+      applicable.forEach(column => {
+        result[column.name] = formatFormulaResult(column.evaluate(result))
+      })
+      cache.set(row, result)
+    }
+    return result
+  })
+}
@@ -0,0 +1,31 @@
+import { formatValue } from '@/lib/column-types'
+
+// Lazily computed, memoised cell values keyed by row object. Only rows that are
+// rendered or searched get formatted, and renaming or reordering columns
+// reuses earlier work. Rows replaced by an update (e.g. a resolved LGA) drop out
+// with their old object.
+//
+// `column` is a column descriptor from describeColumns below.
+export const createCellCache = () => {
+  const cache = new WeakMap()
+
+  const get = (row, key, compute) => {
+    let rowCache = cache.get(row)
+    if (!rowCache) {
+      rowCache = new Map()
+      cache.set(row, rowCache)
+    }
+    if (!rowCache.has(key)) rowCache.set(key, compute())
+    return rowCache.get(key)
+  }
+
+  return {
+    formatted: (row, column) => get(row, column.cacheKey, () => formatValue(row[column.name], column.type))
+  }
+}
+
+// Column name plus resolved type, with a cache key that changes only when the type does
+export const describeColumns = (columns, resolveType) => columns.map(name => {
+  const type = resolveType(name)
+  return { name, type, cacheKey: `${name}\u0000${JSON.stringify(type)}` }
+})
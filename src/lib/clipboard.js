@@ -0,0 +1,16 @@
+// Put HTML and plain text on the clipboard together. `content` ({ html, text })
+// may be a promise: the write has to start inside the click handler, so slow
+// content is handed to the browser as pending blobs.
+export const copyRichText = async (content) => {
+  if (window.ClipboardItem && navigator.clipboard?.write) {
+    const blobOf = (key, type) => Promise.resolve(content).then(value => new Blob([value[key]], { type }))
+    await navigator.clipboard.write([new ClipboardItem({
+      'text/html': blobOf('html', 'text/html'),
+      'text/plain': blobOf('text', 'text/plain')
+    })])
+    return
+  }
+  // Plain text only where rich clipboard items aren't supported
+  const { text } = await content
+  await navigator.clipboard.writeText(text)
+}
@@ -0,0 +1,266 @@
+import { format as formatDate, isValid } from 'date-fns'
+
+// Parse a numeric cell, tolerating currency symbols, thousands separators and % signs
+export const parseNumber = (value) => {
+  if (typeof value === 'number') return value
+  if (value === null || value === undefined) return NaN
+  const cleaned = String(value).trim().replace(/[$,%\s]/g, '')
+  if (cleaned === '' || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return NaN
+  return parseFloat(cleaned)
+}
+
+// Parse ISO (2024-03-01) and Australian (01/03/2024) date strings
+export const parseDate = (value) => {
+  if (value instanceof Date) return value
+  const str = String(value ?? '').trim()
+  if (!str) return null
+
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/)
+  if (match) return new Date(+match[1], +match[2] - 1, +match[3])
+
+  match = str.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/)
+  if (match) return new Date(+match[3], +match[2] - 1, +match[1])
+
+  const parsed = new Date(str)
+  return isValid(parsed) ? parsed : null
+}
+
+const numberLocaleOptions = (decimals) => ({
+  minimumFractionDigits: decimals,
+  maximumFractionDigits: decimals
+})
+
+const excelDecimals = (decimals) => (decimals > 0 ? `.${'0'.repeat(decimals)}` : '')
+
+// Returns an error message for a date-fns pattern that can't format a date, or null
+export const validateDatePattern = (pattern) => {
+  if (!String(pattern || '').trim()) return 'Pattern is required'
+  try {
+    formatDate(new Date(2024, 0, 31, 13, 5, 9), pattern)
+    return null
+  } catch (error) {
+    // "Use `yyyy` instead of `YYYY` (in `YYYY`) for formatting years to the input …"
+    return error.message.replace(/ \(in `.*$/, '')
+  }
+}
+
+// date-fns tokens → Excel number format tokens. Excel reads mm as minutes next to
+// h or s, so MM (month) and mm (minute) map to the same code.
+const EXCEL_DATE_TOKENS = {
+  yyyy: 'yyyy', yyy: 'yyyy', yy: 'yy', y: 'yyyy',
+  MMMMM: 'mmmmm', MMMM: 'mmmm', MMM: 'mmm', MM: 'mm', M: 'm',
+  LLLL: 'mmmm', LLL: 'mmm', LL: 'mm', L: 'm',
+  dd: 'dd', d: 'd', do: 'd',
+  EEEE: 'dddd', EEE: 'ddd', EE: 'ddd', E: 'ddd',
+  eeee: 'dddd', eee: 'ddd', cccc: 'dddd', ccc: 'ddd',
+  HH: 'hh', H: 'h', hh: 'hh', h: 'h',
+  mm: 'mm', m: 'm',
+  ss: 'ss', s: 's',
+  a: 'AM/PM', aa: 'AM/PM', aaa: 'AM/PM'
+}
+
+export const toExcelDateFormat = (pattern) => String(pattern)
+  .match(/'(?:[^']|'')*'?|do|([A-Za-z])\1*|./g)
+  ?.map(part => {
+    if (part.startsWith("'")) {
+      const literal = part.replace(/^'|'$/g, '').replace(/''/g, "'")
+      return part === "''" ? "\\'" : `"${literal.replace(/"/g, '')}"`
+    }
+    if (/^[A-Za-z]/.test(part)) return EXCEL_DATE_TOKENS[part] ?? `"${part}"`
+    return /[\s/.,:-]/.test(part) ? part : `\\${part}`
+  })
+  .join('') ?? ''
+
+// Available column types. Each type knows how to render a value for display,
+// convert it to a typed raw value for exports, and describe its Excel number format.
+export const COLUMN_TYPES = {
+  general: {
+    label: 'General',
+    defaultOptions: {},
+    format: (value) => value,
+    toRaw: (value) => {
+      const num = parseNumber(value)
+      return isNaN(num) ? value : num
+    },
+    excelFormat: () => null
+  },
+  percentage: {
+    label: 'Percentage',
+    hint: { text: '% format', className: 'text-green-600' },
+    defaultOptions: { decimals: 2, fraction: true },
+    format: (value, { decimals, fraction }) => {
+      const num = parseNumber(value)
+      if (isNaN(num)) return value
+      return `${(fraction ? num * 100 : num).toFixed(decimals)}%`
+    },
+    toRaw: (value, { fraction }) => {
+      const num = parseNumber(value)
+      if (isNaN(num)) return 0
+      return fraction ? num : num / 100
+    },
+    excelFormat: ({ decimals }) => `0${excelDecimals(decimals)}%`
+  },
+  currency: {
+    label: 'Currency',
+    hint: { text: '$ format', className: 'text-blue-600' },
+    defaultOptions: { decimals: 0, symbol: '$' },
+    format: (value, { decimals, symbol }) => {
+      const num = parseNumber(value)
+      if (isNaN(num)) return value
+      const sign = num < 0 ? '-' : ''
+      return `${sign}${symbol}${Math.abs(num).toLocaleString(undefined, numberLocaleOptions(decimals))}`
+    },
+    toRaw: (value) => {
+      const num = parseNumber(value)
+      return isNaN(num) ? 0 : num
+    },
+    excelFormat: ({ decimals, symbol }) => `"${symbol}"#,##0${excelDecimals(decimals)}`
+  },
+  integer: {
+    label: 'Integer',
+    hint: { text: 'number format', className: 'text-purple-600' },
+    defaultOptions: {},
+    format: (value) => {
+      const num = parseNumber(value)
+      if (isNaN(num)) return value
+      return Math.round(num).toLocaleString()
+    },
+    toRaw: (value) => {
+      const num = parseNumber(value)
+      return isNaN(num) ? 0 : Math.round(num)
+    },
+    excelFormat: () => '#,##0'
+  },
+  decimal: {
+    label: 'Decimal',
+    hint: { text: 'number format', className: 'text-purple-600' },
+    defaultOptions: { decimals: 2 },
+    format: (value, { decimals }) => {
+      const num = parseNumber(value)
+      if (isNaN(num)) return value
+      return num.toLocaleString(undefined, numberLocaleOptions(decimals))
+    },
+    toRaw: (value) => {
+      const num = parseNumber(value)
+      return isNaN(num) ? 0 : num
+    },
+    excelFormat: ({ decimals }) => `#,##0${excelDecimals(decimals)}`
+  },
+  date: {
+    label: 'Date',
+    hint: { text: 'date format', className: 'text-orange-600' },
+    defaultOptions: { pattern: 'dd/MM/yyyy' },
+    format: (value, { pattern }) => {
+      const date = parseDate(value)
+      if (!date) return value
+      // Patterns saved before validation existed may still be invalid
+      try {
+        return formatDate(date, pattern)
+      } catch {
+        return value
+      }
+    },
+    toRaw: (value) => parseDate(value) || value,
+    excelFormat: ({ pattern }) => (validateDatePattern(pattern) ? null : toExcelDateFormat(pattern))
+  },
+  postcode: {
+    label: 'Postcode',
+    defaultOptions: {},
+    // Spreadsheets drop the leading zero from NT/ACT postcodes (0800 -> 800)
+    format: (value) => String(value).trim().padStart(4, '0'),
+    toRaw: (value) => String(value).trim().padStart(4, '0'),
+    excelFormat: () => '@'
+  },
+  text: {
+    label: 'Text',
+    defaultOptions: {},
+    format: (value) => String(value),
+    toRaw: (value) => String(value),
+    excelFormat: () => '@'
+  }
+}
+
+// Percentage fields (shown as decimals in CSV)
+const percentageFields = [
+  'Growth (12MTHS)',
+  'Growth (10Y Ave)',
+  'Rental Yield',
+  'Vacancy Rate',
+  'Owner Occupier',
+  'Social Housing',
+  'Market Absorption',
+  'IQR % Median',
+  'Build. Approvals',
+  'Pop. Growth (5Y)',
+  'SA2 1-Year Population Growth',
+  'SA2 3-Year Population Growth',
+  'SA2 5-Year Population Growth',
+  'SA2 10-Year Population Growth',
+  'SA3 1-Year Population Growth',
+  'SA3 3-Year Population Growth',
+  'SA3 5-Year Population Growth',
+  'SA3 10-Year Population Growth',
+  '3-Year Median Sale Price CAGR',
+  '5-Year Median Sale Price CAGR',
+  '10-Year Median Sale Price CAGR',
+  '3-Year Sale Price Growth',
+  '5-Year Sale Price Growth',
+  '10-Year Sale Price Growth',
+  '12-Month Sale Price Growth'
+]
+
+// Currency fields
+const currencyFields = [
+  'Suburb $ Median',
+  'Median Income',
+  'Median Weekly Rent'
+]
+
+// Count fields (formatted with comma separators)
+const integerFields = [
+  'Population',
+  'Property Count',
+  'Total Property Count',
+  'SA2 Estimated Resident Population',
+  'Sales Volume'
+]
+
+// Built-in column → type assignments used until the user changes them
+export const DEFAULT_COLUMN_TYPES = {
+  ...Object.fromEntries(integerFields.map(col => [col, { type: 'integer' }])),
+  ...Object.fromEntries(currencyFields.map(col => [col, { type: 'currency' }])),
+  ...Object.fromEntries(percentageFields.map(col => [col, { type: 'percentage' }]))
+}
+
+// Resolve a column's type from the registry, with the type's default options filled in
+export const getColumnType = (registry, column) => {
+  const entry = registry[column]
+  const type = entry && COLUMN_TYPES[entry.type] ? entry.type : 'general'
+  return {
+    type,
+    options: { ...COLUMN_TYPES[type].defaultOptions, ...(entry?.options || {}) }
+  }
+}
+
+// Format a value for display according to its column type
+export const formatValue = (value, columnType) => {
+  if (!value || value === '') return ''
+  const { type, options } = columnType
+  return COLUMN_TYPES[type].format(value, options)
+}
+
+// Convert a value to a typed raw value for spreadsheet export
+export const toRawValue = (value, columnType) => {
+  if (!value || value === '') return ''
+  const { type, options } = columnType
+  return COLUMN_TYPES[type].toRaw(value, options)
+}
+
+// Excel number format (the cell's `.z`) for a column type, or null for none
+export const getExcelFormat = (columnType) => {
+  const { type, options } = columnType
+  return COLUMN_TYPES[type].excelFormat(options)
+}
+
+// Short "(… format)" label shown next to a column name, or null for plain types
+export const getTypeHint = (columnType) => COLUMN_TYPES[columnType.type].hint || null
@@ -0,0 +1,188 @@
+import { getColumnType } from '@/lib/column-types'
+import { compileRule, isRuleComplete } from '@/lib/row-rules'
+import { getComparableValue } from '@/lib/table-query'
+import { loadStored, saveStored } from '@/lib/storage'
+
+// Rule-based cell styling evaluated on raw values, shared by the preview, the HTML
+// export (inline styles) and the Excel export (cell fills).
+// Rule: { id, column, kind, ...options for the kind }
+//   threshold: { operator, value, fill, text }   same operators as row filter rules
+//   scale:     { minColor, midColor, maxColor }  midColor '' for a two-colour scale
+//   bar:       { color }
+//   icons:     { set, reverse }
+
+const STORAGE_KEY = 'csv-table-formatter:format-rules'
+
+export const FORMAT_KINDS = {
+  threshold: {
+    label: 'Highlight cells',
+    defaults: { operator: 'lt', value: '', fill: '#C6EFCE', text: '#006100' }
+  },
+  scale: {
+    label: 'Colour scale',
+    defaults: { minColor: '#F8696B', midColor: '#FFEB84', maxColor: '#63BE7B' }
+  },
+  bar: {
+    label: 'Data bar',
+    defaults: { color: '#638EC6' }
+  },
+  icons: {
+    label: 'Icon set',
+    defaults: { set: 'arrows', reverse: false }
+  }
+}
+
+// Icons from the lowest third of the column's range to the highest
+export const ICON_SETS = {
+  arrows: {
+    label: 'Arrows',
+    icons: [{ glyph: '▼', color: '#C00000' }, { glyph: '▶', color: '#E6A100' }, { glyph: '▲', color: '#00A04A' }]
+  },
+  traffic: {
+    label: 'Traffic lights',
+    icons: [{ glyph: '●', color: '#C00000' }, { glyph: '●', color: '#E6A100' }, { glyph: '●', color: '#00A04A' }]
+  },
+  ratings: {
+    label: 'Stars',
+    icons: [{ glyph: '☆', color: '#9CA3AF' }, { glyph: '★', color: '#E6A100' }, { glyph: '★★', color: '#E6A100' }]
+  }
+}
+
+export const createFormatRule = (column = '', kind = 'threshold') => ({
+  id: crypto.randomUUID(),
+  column,
+  kind,
+  ...FORMAT_KINDS[kind].defaults
+})
+
+export const loadFormatRules = () => loadStored(STORAGE_KEY, [], Array.isArray)
+
+export const saveFormatRules = (rules) => saveStored(STORAGE_KEY, rules)
+
+const hexToRgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255]
+}
+
+const rgbToHex = (rgb) => `#${rgb.map(c => Math.round(c).toString(16).padStart(2, '0')).join('')}`
+
+const mixColors = (from, to, t) => {
+  const a = hexToRgb(from)
+  const b = hexToRgb(to)
+  return rgbToHex(a.map((c, i) => c + (b[i] - c) * t))
+}
+
+// Position of a value within the column's range, 0–1
+const buildRangeScaler = (values) => {
+  const present = values.filter(value => value !== null)
+  if (present.length === 0) return () => null
+  const min = present.reduce((a, b) => Math.min(a, b))
+  const max = present.reduce((a, b) => Math.max(a, b))
+  return (value) => (value === null ? null : max === min ? 1 : (value - min) / (max - min))
+}
+
+const compileFormatRule = (rule, rows, columnTypes) => {
+  if (rule.kind === 'threshold') {
+    if (!isRuleComplete(rule)) return null
+    const matches = compileRule(rule, columnTypes)
+    return (row) => (matches(row) ? { background: rule.fill || null, color: rule.text || null } : null)
+  }
+
+  const columnType = getColumnType(columnTypes, rule.column)
+  const numberOf = (row) => {
+    const value = getComparableValue(row[rule.column], columnType)
+    return typeof value === 'number' ? value : null
+  }
+  const scale = buildRangeScaler(rows.map(numberOf))
+
+  if (rule.kind === 'scale') {
+    return (row) => {
+      const t = scale(numberOf(row))
+      if (t === null) return null
+      if (!rule.midColor) return { background: mixColors(rule.minColor, rule.maxColor, t) }
+      return {
+        background: t < 0.5
+          ? mixColors(rule.minColor, rule.midColor, t * 2)
+          : mixColors(rule.midColor, rule.maxColor, (t - 0.5) * 2)
+      }
+    }
+  }
+  if (rule.kind === 'bar') {
+    return (row) => {
+      const t = scale(numberOf(row))
+      return t === null ? null : { bar: { color: rule.color, ratio: t } }
+    }
+  }
+  if (rule.kind === 'icons') {
+    const icons = ICON_SETS[rule.set]?.icons || ICON_SETS.arrows.icons
+    return (row) => {
+      const t = scale(numberOf(row))
+      if (t === null) return null
+      const tier = Math.min(2, Math.floor((rule.reverse ? 1 - t : t) * 3))
+      return { icon: icons[tier] }
+    }
+  }
+  return null
+}
+
+// (row, column) → merged style or null. Colour scales, bars and icons are scaled
+// over `rows`, so pass the rows being shown or exported. Later rules win.
+export const buildCellStyler = (rows, rules, columnTypes) => {
+  const byColumn = new Map()
+  rules.forEach(rule => {
+    if (!rule.column) return
+    const compiled = compileFormatRule(rule, rows || [], columnTypes)
+    if (!compiled) return
+    byColumn.set(rule.column, [...(byColumn.get(rule.column) || []), compiled])
+  })
+
+  if (byColumn.size === 0) return null
+  return (row, column) => {
+    const compiled = byColumn.get(column)
+    if (!compiled) return null
+    let style = null
+    compiled.forEach(apply => {
+      const result = apply(row)
+      if (!result) return
+      style = { ...style }
+      Object.entries(result).forEach(([key, value]) => {
+        if (value) style[key] = value
+      })
+    })
+    return style
+  }
+}
+
+// CSS properties for a cell style, in React's camelCase form. Data bars are drawn
+// as a hard-edged background gradient.
+export const styleToCssProperties = (style) => {
+  if (!style) return null
+  const css = {}
+  if (style.bar) {
+    const percent = Math.round(style.bar.ratio * 100)
+    const fill = style.background || 'transparent'
+    css.background = `linear-gradient(90deg, ${style.bar.color}99 ${percent}%, ${fill} ${percent}%)`
+  } else if (style.background) {
+    css.backgroundColor = style.background
+  }
+  if (style.color) css.color = style.color
+  return css
+}
+
+// The same properties as an inline style attribute, for the HTML export
+export const styleToCss = (style) => Object.entries(styleToCssProperties(style) || {})
+  .map(([key, value]) => `${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}: ${value}`)
+  .join('; ')
+
+const toRgb = (hex) => hex.replace('#', '').toUpperCase()
+
+// Cell style for applyXlsxStyles. Icons become a light fill in the icon's colour.
+export const styleToXlsx = (style) => {
+  if (!style) return null
+  const result = {}
+  const background = style.background || (style.icon && mixColors(style.icon.color, '#FFFFFF', 0.75))
+  if (background) result.fill = toRgb(background)
+  if (style.bar) result.bar = { color: toRgb(mixColors(style.bar.color, '#FFFFFF', 0.4)), ratio: style.bar.ratio }
+  if (style.color) result.font = { color: toRgb(style.color) }
+  return Object.keys(result).length > 0 ? result : null
+}
@@ -0,0 +1,66 @@
+import Papa from 'papaparse'
+import { format } from 'date-fns'
+import { formatTableRows, rawTableRows } from '@/lib/table-export'
+
+// CSV and JSON files of the export table for downstream scripts. Both use the
+// selected columns in order, under their renamed headers.
+
+export const CSV_DELIMITERS = {
+  comma: { label: 'Comma (,)', character: ',' },
+  semicolon: { label: 'Semicolon (;)', character: ';' },
+  tab: { label: 'Tab', character: '\t' },
+  pipe: { label: 'Pipe (|)', character: '|' }
+}
+
+export const CSV_VALUE_MODES = {
+  formatted: { label: 'Formatted values', description: 'As shown in the preview, e.g. $450,000 and 4.50%' },
+  raw: { label: 'Raw values', description: 'Plain numbers and ISO dates, e.g. 450000 and 0.045' }
+}
+
+export const JSON_SHAPES = {
+  records: { label: 'Array of records', description: '[{ "Suburb": "Bondi", … }, …]' },
+  columns: { label: 'Columnar', description: '{ "Suburb": ["Bondi", …], … }' }
+}
+
+export const DEFAULT_DATA_EXPORT = {
+  format: 'csv',
+  values: 'formatted',
+  delimiter: 'comma',
+  bom: true,
+  shape: 'records'
+}
+
+// Raw values as plain data: dates become yyyy-MM-dd and blanks become null
+const toPlainValue = (value) => {
+  if (value instanceof Date) return format(value, 'yyyy-MM-dd')
+  return value === '' ? null : value
+}
+
+const headersOf = ({ columns, columnRenames }) => columns.map(col => columnRenames[col] || col)
+
+export const buildCsv = (table, options, onProgress) => {
+  const { values, delimiter, bom } = { ...DEFAULT_DATA_EXPORT, ...options }
+  const headers = headersOf(table)
+  const rows = values === 'raw'
+    ? rawTableRows(table, onProgress).map(row => row.map(value => toPlainValue(value) ?? ''))
+    : formatTableRows(table, onProgress).map(formattedRow => headers.map(header => formattedRow[header] ?? ''))
+
+  const csv = Papa.unparse([headers, ...rows], {
+    delimiter: (CSV_DELIMITERS[delimiter] || CSV_DELIMITERS.comma).character,
+    newline: '\r\n'
+  })
+  // The byte order mark tells Excel the file is UTF-8
+  return bom ? `\uFEFF${csv}` : csv
+}
+
+// Numbers stay numbers (percentages as fractions, as in the Excel export)
+export const buildJson = (table, options, onProgress) => {
+  const { shape } = { ...DEFAULT_DATA_EXPORT, ...options }
+  const headers = headersOf(table)
+  const rows = rawTableRows(table, onProgress).map(row => row.map(toPlainValue))
+
+  const data = shape === 'columns'
+    ? Object.fromEntries(headers.map((header, c) => [header, rows.map(row => row[c])]))
+    : rows.map(row => Object.fromEntries(headers.map((header, c) => [header, row[c]])))
+  return JSON.stringify(data, null, 2)
+}
@@ -0,0 +1,60 @@
+import Papa from 'papaparse'
+import * as XLSX from 'xlsx'
+
+// File extensions accepted by the upload area
+export const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls', '.ods']
+export const ACCEPTED_EXTENSIONS = ['.csv', ...WORKBOOK_EXTENSIONS]
+
+export const isWorkbookFile = (file) => {
+  const name = (file?.name || '').toLowerCase()
+  return WORKBOOK_EXTENSIONS.some(ext => name.endsWith(ext))
+}
+
+// Parse a CSV file into an array of row objects keyed by header.
+// onProgress receives (bytesRead, fileSize) as chunks are parsed.
+export const parseCsvFile = (file, onProgress) => new Promise((resolve, reject) => {
+  // Chunks are joined once at the end; concatenating as they arrive is quadratic
+  const chunks = []
+  Papa.parse(file, {
+    header: true,
+    chunk: (results) => {
+      chunks.push(results.data)
+      onProgress?.(Math.min(results.meta.cursor, file.size), file.size)
+    },
+    complete: () => resolve(chunks.flat()),
+    error: reject
+  })
+})
+
+// Read an Excel/ODS workbook from a File
+export const readWorkbook = async (file) => {
+  const buffer = await file.arrayBuffer()
+  return XLSX.read(buffer, { type: 'array', cellDates: true })
+}
+
+const pad = (n) => String(n).padStart(2, '0')
+
+// Convert a cell value to the same string shape Papa.parse produces for CSV
+const normalizeCellValue = (value) => {
+  if (value === null || value === undefined) return ''
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+  }
+  return String(value)
+}
+
+// Convert a worksheet into CSV-like row objects so it can share the CSV pipeline
+export const sheetToRows = (workbook, sheetName, onProgress) => {
+  const sheet = workbook.Sheets[sheetName]
+  if (!sheet) return []
+
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: true })
+  return rows.map((row, index) => {
+    const normalized = {}
+    Object.keys(row).forEach(key => {
+      normalized[key] = normalizeCellValue(row[key])
+    })
+    if (onProgress && (index % 2000 === 0 || index === rows.length - 1)) onProgress(index + 1, rows.length)
+    return normalized
+  })
+}
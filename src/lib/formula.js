@@ -0,0 +1,297 @@
+import { parseNumber } from '@/lib/column-types'
+
+// Small, safe expression language for calculated columns. Expressions are parsed
+// into a tree and interpreted; nothing is ever passed to eval or Function.
+//
+//   [Suburb $ Median] * [Rental Yield]          column references in brackets
+//   + - * / ^, = <> < <= > >=, & (join text)    operators, usual precedence
+//   IF(cond, a, b), ROUND(x, digits), MIN(...), MAX(...), ABS(x),
+//   AND(...), OR(...), NOT(x), ISBLANK(x), COALESCE(a, b, ...)
+//
+// Empty cells are NULL. Arithmetic and comparisons with NULL give NULL, as does
+// dividing by zero; MIN and MAX skip NULLs. COALESCE and ISBLANK handle gaps.
+
+const OPERATOR_PRECEDENCE = {
+  '=': 1, '<>': 1, '<': 1, '<=': 1, '>': 1, '>=': 1,
+  '&': 2,
+  '+': 3, '-': 3,
+  '*': 4, '/': 4,
+  '^': 5
+}
+
+const tokenize = (expression) => {
+  const tokens = []
+  let i = 0
+
+  while (i < expression.length) {
+    const char = expression[i]
+
+    if (/\s/.test(char)) {
+      i++
+    } else if (char === '[') {
+      const end = expression.indexOf(']', i)
+      if (end === -1) throw new Error(`Missing ] for the column reference at position ${i + 1}`)
+      tokens.push({ type: 'column', value: expression.slice(i + 1, end).trim(), position: i })
+      i = end + 1
+    } else if (char === '"') {
+      const end = expression.indexOf('"', i + 1)
+      if (end === -1) throw new Error(`Missing closing quote for the text at position ${i + 1}`)
+      tokens.push({ type: 'string', value: expression.slice(i + 1, end), position: i })
+      i = end + 1
+    } else if (/[\d.]/.test(char)) {
+      const match = expression.slice(i).match(/^(\d+\.?\d*|\.\d+)(e[-+]?\d+)?/i)
+      if (!match) throw new Error(`Unexpected "${char}" at position ${i + 1}`)
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i })
+      i += match[0].length
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = expression.slice(i).match(/^[A-Za-z_]\w*/)
+      tokens.push({ type: 'name', value: match[0].toUpperCase(), position: i })
+      i += match[0].length
+    } else {
+      const operator = ['<=', '>=', '<>', '!='].find(op => expression.startsWith(op, i)) || char
+      if (!OPERATOR_PRECEDENCE[operator] && operator !== '!=' && !'(),'.includes(operator)) {
+        throw new Error(`Unexpected "${char}" at position ${i + 1}`)
+      }
+      tokens.push({ type: 'operator', value: operator === '!=' ? '<>' : operator, position: i })
+      i += operator.length
+    }
+  }
+
+  return tokens
+}
+
+const FUNCTION_ARITY = {
+  IF: [2, 3],
+  ROUND: [1, 2],
+  MIN: [1, Infinity],
+  MAX: [1, Infinity],
+  ABS: [1, 1],
+  AND: [1, Infinity],
+  OR: [1, Infinity],
+  NOT: [1, 1],
+  ISBLANK: [1, 1],
+  COALESCE: [1, Infinity]
+}
+
+// Recursive-descent / precedence-climbing parser producing plain object nodes
+const parse = (expression) => {
+  const tokens = tokenize(expression)
+  let index = 0
+
+  const peek = () => tokens[index]
+  const describe = (token) => token ? `"${token.value}" at position ${token.position + 1}` : 'the end of the formula'
+  const expect = (value) => {
+    const token = tokens[index++]
+    if (token?.value !== value) throw new Error(`Expected "${value}" but found ${describe(token)}`)
+  }
+
+  const parsePrimary = () => {
+    const token = tokens[index++]
+    if (!token) throw new Error('Formula ends unexpectedly')
+
+    if (token.type === 'number' || token.type === 'string') return { kind: 'literal', value: token.value }
+    if (token.type === 'column') {
+      if (!token.value) throw new Error(`Empty column reference at position ${token.position + 1}`)
+      return { kind: 'column', name: token.value }
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      const node = parseExpression(0)
+      expect(')')
+      return node
+    }
+    if (token.type === 'operator' && (token.value === '-' || token.value === '+')) {
+      return { kind: 'unary', operator: token.value, operand: parseExpression(OPERATOR_PRECEDENCE['^']) }
+    }
+    if (token.type === 'name') {
+      if (token.value === 'TRUE' || token.value === 'FALSE') return { kind: 'literal', value: token.value === 'TRUE' }
+      if (token.value === 'NULL') return { kind: 'literal', value: null }
+      const arity = FUNCTION_ARITY[token.value]
+      if (!arity) throw new Error(`Unknown function ${token.value}. Put column names in [brackets].`)
+      expect('(')
+      const args = []
+      if (peek()?.value !== ')') {
+        args.push(parseExpression(0))
+        while (peek()?.value === ',') {
+          index++
+          args.push(parseExpression(0))
+        }
+      }
+      expect(')')
+      const [min, max] = arity
+      if (args.length < min || args.length > max) {
+        const count = min === max ? min : max === Infinity ? `at least ${min}` : `${min} to ${max}`
+        const plural = min === max || max === Infinity ? min !== 1 : true
+        throw new Error(`${token.value} takes ${count} argument${plural ? 's' : ''}`)
+      }
+      return { kind: 'call', name: token.value, args }
+    }
+    throw new Error(`Unexpected ${describe(token)}`)
+  }
+
+  const parseExpression = (minPrecedence) => {
+    let left = parsePrimary()
+    for (;;) {
+      const token = peek()
+      const precedence = token?.type === 'operator' ? OPERATOR_PRECEDENCE[token.value] : undefined
+      if (!precedence || precedence < minPrecedence) break
+      index++
+      // ^ is right-associative, everything else left-associative
+      const right = parseExpression(token.value === '^' ? precedence : precedence + 1)
+      left = { kind: 'binary', operator: token.value, left, right }
+    }
+    return left
+  }
+
+  if (tokens.length === 0) throw new Error('Formula is empty')
+  const tree = parseExpression(0)
+  if (index < tokens.length) throw new Error(`Unexpected ${describe(tokens[index])}`)
+  return tree
+}
+
+// Cell value as a number when it looks like one, otherwise text; empty cells are null
+const toValue = (raw) => {
+  if (raw === null || raw === undefined) return null
+  if (typeof raw === 'number' || typeof raw === 'boolean') return raw
+  if (String(raw).trim() === '') return null
+  const num = parseNumber(raw)
+  return isNaN(num) ? String(raw) : num
+}
+
+const toNumber = (value) => {
+  if (value === null) return null
+  if (typeof value === 'boolean') return value ? 1 : 0
+  const num = parseNumber(value)
+  return isNaN(num) ? null : num
+}
+
+const isTruthy = (value) => value !== null && value !== false && value !== 0 && value !== ''
+
+const compare = (a, b) => (typeof a === 'number' && typeof b === 'number'
+  ? a - b
+  : String(a).localeCompare(String(b), undefined, { sensitivity: 'base' }))
+
+const applyBinary = (operator, left, right) => {
+  if (operator === '&') return `${left ?? ''}${right ?? ''}`
+  if (left === null || right === null) return null
+
+  if (OPERATOR_PRECEDENCE[operator] === 1) {
+    const diff = compare(left, right)
+    if (operator === '=') return diff === 0
+    if (operator === '<>') return diff !== 0
+    if (operator === '<') return diff < 0
+    if (operator === '<=') return diff <= 0
+    if (operator === '>') return diff > 0
+    return diff >= 0
+  }
+
+  const a = toNumber(left)
+  const b = toNumber(right)
+  if (a === null || b === null) return null
+  if (operator === '+') return a + b
+  if (operator === '-') return a - b
+  if (operator === '*') return a * b
+  if (operator === '/') return b === 0 ? null : a / b
+  return Math.pow(a, b)
+}
+
+const numbersOf = (values) => values.map(toNumber).filter(value => value !== null)
+
+const FUNCTIONS = {
+  ROUND: ([value, digits]) => {
+    const num = toNumber(value)
+    if (num === null) return null
+    const factor = Math.pow(10, toNumber(digits) ?? 0)
+    return Math.round(num * factor) / factor
+  },
+  MIN: (values) => (numbersOf(values).length ? Math.min(...numbersOf(values)) : null),
+  MAX: (values) => (numbersOf(values).length ? Math.max(...numbersOf(values)) : null),
+  ABS: ([value]) => (toNumber(value) === null ? null : Math.abs(toNumber(value))),
+  AND: (values) => values.every(isTruthy),
+  OR: (values) => values.some(isTruthy),
+  NOT: ([value]) => !isTruthy(value),
+  ISBLANK: ([value]) => value === null || value === '',
+  COALESCE: (values) => values.find(value => value !== null && value !== '') ?? null
+}
+
+const evaluate = (node, row) => {
+  switch (node.kind) {
+    case 'literal':
+      return node.value
+    case 'column':
+      return toValue(row[node.name])
+    case 'unary': {
+      const value = toNumber(evaluate(node.operand, row))
+      return value === null ? null : node.operator === '-' ? -value : value
+    }
+    case 'binary':
+      return applyBinary(node.operator, evaluate(node.left, row), evaluate(node.right, row))
+    case 'call':
+      // IF only evaluates the branch it takes
+      if (node.name === 'IF') {
+        const [condition, whenTrue, whenFalse] = node.args
+        if (isTruthy(evaluate(condition, row))) return evaluate(whenTrue, row)
+        return whenFalse ? evaluate(whenFalse, row) : null
+      }
+      return FUNCTIONS[node.name](node.args.map(arg => evaluate(arg, row)))
+    default:
+      return null
+  }
+}
+
+const collectColumns = (node, columns = new Set()) => {
+  if (node.kind === 'column') columns.add(node.name)
+  if (node.kind === 'unary') collectColumns(node.operand, columns)
+  if (node.kind === 'binary') {
+    collectColumns(node.left, columns)
+    collectColumns(node.right, columns)
+  }
+  if (node.kind === 'call') node.args.forEach(arg => collectColumns(arg, columns))
+  return columns
+}
+
+// Parse a formula once. Throws an Error describing the first syntax problem.
+// evaluate(row) returns a number, text, boolean or null.
+export const compileFormula = (expression) => {
+  const tree = parse(expression)
+  return {
+    columns: [...collectColumns(tree)],
+    evaluate: (row) => evaluate(tree, row)
+  }
+}
+
+// Syntax error message for a formula, or '' when it parses
+export const validateFormula = (expression, availableColumns) => {
+  try {
+    const { columns } = compileFormula(expression)
+    const missing = availableColumns ? columns.filter(col => !availableColumns.includes(col)) : []
+    return missing.length > 0 ? `Unknown column ${missing.map(col => `[${col}]`).join(', ')}` : ''
+  } catch (error) {
+    return error.message
+  }
+}
+
+// The formula with every [from] reference pointing at [to] instead. Formulas that
+// don't parse are returned unchanged.
+export const renameFormulaColumn = (expression, from, to) => {
+  let tokens
+  try {
+    tokens = tokenize(expression)
+  } catch {
+    return expression
+  }
+  return tokens
+    .filter(token => token.type === 'column' && token.value === from)
+    .reverse()
+    .reduce((result, token) => {
+      const end = result.indexOf(']', token.position) + 1
+      return `${result.slice(0, token.position)}[${to}]${result.slice(end)}`
+    }, expression)
+}
+
+// Formula result in the same string shape as parsed CSV cells
+export const formatFormulaResult = (value) => {
+  if (value === null || value === undefined) return ''
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE'
+  if (typeof value === 'number' && !isFinite(value)) return ''
+  return String(value)
+}
@@ -0,0 +1,118 @@
+// Persistent suburb → LGA cache, manual overrides and the user's loaded
+// correspondence table, backed by IndexedDB.
+// Entries: { key, suburb, state, postcode, lga, source, updatedAt }
+
+const DB_NAME = 'csv-table-formatter'
+const DB_VERSION = 3
+const STORE_NAME = 'lga-cache'
+// Manual corrections live in their own store so clearing the cache keeps them
+const OVERRIDES_STORE_NAME = 'lga-overrides'
+// A single record holding the selected rows of the loaded ABS correspondence
+const CORRESPONDENCE_STORE_NAME = 'lga-correspondence'
+const CORRESPONDENCE_KEY = 'custom'
+
+// Failed ('N/A') lookups are retried after this long instead of being cached forever
+export const FAILED_ENTRY_TTL_MS = 7 * 24 * 60 * 60 * 1000
+
+let dbPromise = null
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        for (const name of [STORE_NAME, OVERRIDES_STORE_NAME, CORRESPONDENCE_STORE_NAME]) {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'key' })
+          }
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+  return dbPromise
+}
+
+// Run a callback against the store inside a transaction and resolve when it completes
+const withStore = async (mode, callback, storeName = STORE_NAME) => {
+  const db = await openDb()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const result = callback(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(result?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+export const getLgaCacheKey = (suburb, state, postcode) => (state
+  ? `${suburb.toLowerCase()}-${state.toLowerCase()}`
+  : `${suburb.toLowerCase()}-${postcode}`)
+
+export const isCacheEntryExpired = (entry, now = Date.now()) =>
+  entry.lga === 'N/A' && now - entry.updatedAt > FAILED_ENTRY_TTL_MS
+
+// All unexpired entries; expired failures are dropped from the store as they're found
+export const loadLgaCache = async () => {
+  const entries = await withStore('readonly', store => store.getAll())
+  const expired = entries.filter(entry => isCacheEntryExpired(entry))
+  if (expired.length > 0) {
+    await withStore('readwrite', store => expired.forEach(entry => store.delete(entry.key)))
+  }
+  return entries.filter(entry => !isCacheEntryExpired(entry))
+}
+
+export const saveLgaCacheEntries = (entries) =>
+  withStore('readwrite', store => entries.forEach(entry => store.put(entry)))
+
+export const deleteLgaCacheEntry = (key) =>
+  withStore('readwrite', store => store.delete(key))
+
+export const clearLgaCache = () =>
+  withStore('readwrite', store => store.clear())
+
+export const loadLgaOverrides = () =>
+  withStore('readonly', store => store.getAll(), OVERRIDES_STORE_NAME)
+
+export const saveLgaOverride = (entry) =>
+  withStore('readwrite', store => store.put(entry), OVERRIDES_STORE_NAME)
+
+export const deleteLgaOverride = (key) =>
+  withStore('readwrite', store => store.delete(key), OVERRIDES_STORE_NAME)
+
+// { name, entries, updatedAt } or undefined when no table has been loaded
+export const loadCorrespondenceTable = () =>
+  withStore('readonly', store => store.get(CORRESPONDENCE_KEY), CORRESPONDENCE_STORE_NAME)
+
+export const saveCorrespondenceTable = (name, entries) =>
+  withStore('readwrite', store => store.put({ key: CORRESPONDENCE_KEY, name, entries, updatedAt: Date.now() }), CORRESPONDENCE_STORE_NAME)
+
+export const deleteCorrespondenceTable = () =>
+  withStore('readwrite', store => store.delete(CORRESPONDENCE_KEY), CORRESPONDENCE_STORE_NAME)
+
+export const exportLgaCacheJson = (entries) => JSON.stringify({
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  entries
+}, null, 2)
+
+// Accepts the export format above or a bare array of entries
+export const parseLgaCacheJson = (text) => {
+  const data = JSON.parse(text)
+  const entries = Array.isArray(data) ? data : data.entries
+  if (!Array.isArray(entries)) throw new Error('No cache entries found in file')
+
+  return entries
+    .filter(entry => entry && entry.suburb && entry.lga)
+    .map(entry => ({
+      key: entry.key || getLgaCacheKey(entry.suburb, entry.state || '', entry.postcode || ''),
+      suburb: entry.suburb,
+      state: entry.state || '',
+      postcode: entry.postcode || '',
+      lga: entry.lga,
+      source: entry.source || 'import',
+      updatedAt: Number(entry.updatedAt) || Date.now()
+    }))
+}
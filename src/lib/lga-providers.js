@@ -0,0 +1,121 @@
+import { loadBundledLgaIndex, resolveLocalLGA } from '@/lib/lga-resolver'
+import { loadStored, saveStored } from '@/lib/storage'
+
+// LGA providers share one shape so they can be swapped or faked in tests:
+//   {
+//     id, label,
+//     rateLimitMs,                                  // minimum gap between lookups
+//     lookup({ suburb, state, postcode }) → Promise<string | null>
+//   }
+// lookup resolves to null when the provider doesn't know the suburb and
+// throws only on transport errors.
+
+export const NOMINATIM_URL = 'https://nominatim.openstreetmap.org'
+export const DEFAULT_LOCAL_SERVER_URL = 'http://localhost:8787'
+
+// Nominatim puts the council in different address fields depending on the state
+export const extractLgaFromAddress = (address) => address.city_district ||
+  address.county ||
+  address.municipality ||
+  address.administrative_area_level_2 ||
+  address.city ||
+  null
+
+// Providers speaking Nominatim's /search JSON format, at any base URL
+const createSearchProvider = ({ id, label, baseUrl, rateLimitMs, fetchImpl = fetch }) => ({
+  id,
+  label,
+  rateLimitMs,
+  lookup: async ({ suburb, state, postcode }) => {
+    // Prefer postcode-based lookup for accuracy, fallback to state
+    const query = postcode
+      ? `${suburb}, ${postcode}, Australia`
+      : `${suburb}, ${state}, Australia`
+
+    const response = await fetchImpl(
+      `${baseUrl.replace(/\/$/, '')}/search?format=json&q=${encodeURIComponent(query)}&countrycodes=au&addressdetails=1&limit=1`,
+      {
+        headers: {
+          'User-Agent': 'CSV-Table-Formatter/1.0'
+        }
+      }
+    )
+
+    if (!response.ok) throw new Error('API request failed')
+
+    const data = await response.json()
+    if (data && data.length > 0 && data[0].address) {
+      return extractLgaFromAddress(data[0].address)
+    }
+    return null
+  }
+})
+
+// OpenStreetMap Nominatim, limited to one request per second by its usage policy
+export const createNominatimProvider = ({ baseUrl = NOMINATIM_URL, fetchImpl } = {}) => createSearchProvider({
+  id: 'nominatim',
+  label: 'Nominatim (OpenStreetMap)',
+  baseUrl,
+  rateLimitMs: 1000,
+  fetchImpl
+})
+
+// A local stand-in server with Nominatim's /search format (see scripts/mock-lga-server.js)
+export const createHttpProvider = ({ baseUrl = DEFAULT_LOCAL_SERVER_URL, fetchImpl } = {}) => createSearchProvider({
+  id: 'http',
+  label: 'Local HTTP server',
+  baseUrl,
+  rateLimitMs: 0,
+  fetchImpl
+})
+
+// The bundled locality-to-LGA table, optionally extended by a loaded ABS export
+export const createOfflineProvider = ({ getIndex = loadBundledLgaIndex } = {}) => ({
+  id: 'offline',
+  label: 'Offline table',
+  rateLimitMs: 0,
+  lookup: async ({ suburb, state, postcode }) => resolveLocalLGA(await getIndex(), suburb, state, postcode)
+})
+
+// Fallback providers selectable in the LGA lookup settings
+export const FALLBACK_PROVIDERS = {
+  none: { label: 'None (offline table only)', create: () => null },
+  nominatim: { label: 'Nominatim (OpenStreetMap)', create: () => createNominatimProvider() },
+  http: { label: 'Local HTTP server', create: ({ serverUrl }) => createHttpProvider({ baseUrl: serverUrl }) }
+}
+
+// Fallback provider chosen in settings, remembered between sessions
+export const DEFAULT_LGA_SETTINGS = {
+  providerId: 'nominatim',
+  serverUrl: DEFAULT_LOCAL_SERVER_URL
+}
+
+const STORAGE_KEY = 'csv-table-formatter:lga-provider'
+
+export const loadLgaSettings = () => {
+  const settings = {
+    ...DEFAULT_LGA_SETTINGS,
+    ...loadStored(STORAGE_KEY, {}, value => value !== null && typeof value === 'object')
+  }
+  // A provider removed since the settings were saved falls back to the default
+  if (!Object.hasOwn(FALLBACK_PROVIDERS, settings.providerId)) settings.providerId = DEFAULT_LGA_SETTINGS.providerId
+  return settings
+}
+
+export const saveLgaSettings = (settings) => saveStored(STORAGE_KEY, settings)
+
+// Try each provider in order. Resolves to { lga, provider } where provider is the one
+// that answered (or the last one tried), and lga is null when none knew the suburb.
+export const lookupWithProviders = async (providers, query) => {
+  let lastProvider = null
+  for (const provider of providers) {
+    lastProvider = provider
+    try {
+      const lga = await provider.lookup(query)
+      if (lga) return { lga, provider }
+    } catch (error) {
+      console.warn(`${provider.label} failed to lookup LGA for ${query.suburb}:`, error)
+    }
+  }
+  return { lga: null, provider: lastProvider }
+}
@@ -0,0 +1,163 @@
+import Papa from 'papaparse'
+
+// Offline suburb → LGA resolution from a locality-to-LGA table.
+// src/data/locality-lga.csv is a small hand-picked starter table. `npm run build:lga-index`
+// regenerates it from the ABS SAL → LGA correspondence, and the same ABS file can
+// also be loaded at runtime to extend it.
+
+const STATE_ABBREVIATIONS = {
+  'new south wales': 'NSW',
+  'victoria': 'VIC',
+  'queensland': 'QLD',
+  'south australia': 'SA',
+  'western australia': 'WA',
+  'tasmania': 'TAS',
+  'northern territory': 'NT',
+  'australian capital territory': 'ACT'
+}
+
+// ASGS state and territory codes, the first digit of SAL and LGA codes
+const STATE_CODES = {
+  1: 'NSW',
+  2: 'VIC',
+  3: 'QLD',
+  4: 'SA',
+  5: 'WA',
+  6: 'TAS',
+  7: 'NT',
+  8: 'ACT',
+  9: 'OT'
+}
+
+// Header names accepted for each field, covering the bundled table and ABS ASGS exports
+const FIELD_ALIASES = {
+  suburb: ['suburb', 'locality', 'sal_name_2021', 'sal_name', 'ssc_name_2016'],
+  state: ['state', 'ste_name_2021', 'ste_name', 'state_name_2021', 'state_name'],
+  postcode: ['postcode', 'poa_code_2021', 'poa_code', 'post_code'],
+  lga: ['lga', 'lga_name_2021', 'lga_name_2022', 'lga_name', 'lga_name_2016'],
+  code: ['sal_code_2021', 'sal_code', 'ssc_code_2016'],
+  ratio: ['ratio_from_to', 'ratio']
+}
+
+// "Paddington (Qld)" → "paddington"; ABS disambiguates duplicate localities with a suffix
+export const normalizeSuburb = (suburb) => String(suburb || '')
+  .toLowerCase()
+  .replace(/\s*\(.*\)\s*$/, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+
+export const normalizeState = (state) => {
+  const value = String(state || '').trim()
+  return STATE_ABBREVIATIONS[value.toLowerCase()] || value.toUpperCase()
+}
+
+export const normalizePostcode = (postcode) => {
+  const value = String(postcode || '').trim()
+  return /^\d{3,4}$/.test(value) ? value.padStart(4, '0') : ''
+}
+
+// The ABS correspondence has no state column, but every SAL code starts with one
+export const stateFromAsgsCode = (code) => STATE_CODES[String(code || '').trim().charAt(0)] || ''
+
+const findField = (headers, field) => {
+  const lower = headers.map(header => header.toLowerCase().trim())
+  const index = lower.findIndex(header => FIELD_ALIASES[field].includes(header))
+  return index === -1 ? null : headers[index]
+}
+
+// Reduce a correspondence to one LGA per locality. Localities split across
+// councils keep the LGA holding the largest share (RATIO_FROM_TO in ABS files).
+export const selectLgaRows = (rows) => {
+  if (rows.length === 0) return []
+
+  const headers = Object.keys(rows[0])
+  const suburbField = findField(headers, 'suburb')
+  const stateField = findField(headers, 'state')
+  const postcodeField = findField(headers, 'postcode')
+  const lgaField = findField(headers, 'lga')
+  const codeField = findField(headers, 'code')
+  const ratioField = findField(headers, 'ratio')
+  if (!suburbField || !lgaField) {
+    throw new Error('Correspondence table needs suburb/locality and LGA columns')
+  }
+
+  const selected = new Map()
+  rows.forEach(row => {
+    const entry = {
+      suburb: String(row[suburbField] || '').trim(),
+      state: stateField ? normalizeState(row[stateField]) : stateFromAsgsCode(codeField && row[codeField]),
+      postcode: postcodeField ? normalizePostcode(row[postcodeField]) : '',
+      lga: String(row[lgaField] || '').trim(),
+      ratio: ratioField ? Number(row[ratioField]) || 0 : 1
+    }
+    if (!normalizeSuburb(entry.suburb) || !entry.lga) return
+
+    const key = `${entry.suburb}|${entry.state}|${entry.postcode}`
+    if (!selected.has(key) || entry.ratio > selected.get(key).ratio) selected.set(key, entry)
+  })
+
+  return [...selected.values()]
+}
+
+// Build lookup maps keyed on suburb+postcode and suburb+state. The selected rows
+// are kept on the index so a loaded table can be saved and rebuilt later.
+export const buildLgaIndex = (rows) => {
+  const entries = selectLgaRows(rows).map(({ suburb, state, postcode, lga }) => ({ suburb, state, postcode, lga }))
+  const index = { byPostcode: new Map(), byState: new Map(), localities: new Set(), entries }
+
+  entries.forEach(({ suburb, state, postcode, lga }) => {
+    const key = normalizeSuburb(suburb)
+    if (postcode) index.byPostcode.set(`${key}|${postcode}`, lga)
+    if (state) index.byState.set(`${key}|${state}`, lga)
+    index.localities.add(`${key}|${state || postcode}`)
+  })
+
+  return { ...index, size: index.localities.size }
+}
+
+export const parseCorrespondenceCsv = (text) => {
+  const results = Papa.parse(text, { header: true, skipEmptyLines: true })
+  return buildLgaIndex(results.data)
+}
+
+// Merge a second index (e.g. a user-supplied ABS export) over the first; where both
+// have a locality the second one's LGA wins and it is only counted once
+export const mergeLgaIndexes = (base, extra) => {
+  const localities = new Set([...base.localities, ...extra.localities])
+  return {
+    byPostcode: new Map([...base.byPostcode, ...extra.byPostcode]),
+    byState: new Map([...base.byState, ...extra.byState]),
+    localities,
+    size: localities.size
+  }
+}
+
+let bundledIndexPromise = null
+
+// Lazily load the bundled table so it stays out of the main chunk
+export const loadBundledLgaIndex = () => {
+  if (!bundledIndexPromise) {
+    bundledIndexPromise = import('@/data/locality-lga.csv?raw')
+      .then(module => parseCorrespondenceCsv(module.default))
+  }
+  return bundledIndexPromise
+}
+
+// Resolve an LGA locally, preferring the postcode match. Returns null when unknown.
+export const resolveLocalLGA = (index, suburb, state, postcode) => {
+  if (!index) return null
+  const key = normalizeSuburb(suburb)
+  if (!key) return null
+
+  const normalizedPostcode = normalizePostcode(postcode)
+  if (normalizedPostcode && index.byPostcode.has(`${key}|${normalizedPostcode}`)) {
+    return index.byPostcode.get(`${key}|${normalizedPostcode}`)
+  }
+
+  const normalizedState = normalizeState(state)
+  if (normalizedState && index.byState.has(`${key}|${normalizedState}`)) {
+    return index.byState.get(`${key}|${normalizedState}`)
+  }
+
+  return null
+}
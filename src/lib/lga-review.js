@@ -0,0 +1,66 @@
+import { getLgaCacheKey } from '@/lib/lga-cache'
+import { resolveLocalLGA } from '@/lib/lga-resolver'
+
+// How much each LGA source can be trusted. Nominatim often answers with a city or
+// county rather than the council, so its results are flagged for review.
+const SOURCE_CONFIDENCE = {
+  manual: 'high',
+  edited: 'high',
+  offline: 'high',
+  import: 'medium',
+  http: 'medium',
+  nominatim: 'low'
+}
+
+export const CONFIDENCE_BADGES = {
+  high: { label: 'High', variant: 'default' },
+  medium: { label: 'Medium', variant: 'secondary' },
+  low: { label: 'Low', variant: 'outline' },
+  none: { label: 'None', variant: 'destructive' }
+}
+
+export const getRowLocation = (row) => ({
+  suburb: row['Suburb'] || row['suburb'] || '',
+  state: row['State'] || row['state'] || '',
+  postcode: row['Postcode'] || row['postcode'] || ''
+})
+
+// One review entry per distinct suburb in the data, with where its LGA came from,
+// a confidence level, and any disagreement with the offline correspondence table
+export const buildLgaReview = (rows, { cache, overrides, lgaIndex }) => {
+  const entries = new Map()
+
+  rows.forEach(row => {
+    const { suburb, state, postcode } = getRowLocation(row)
+    if (!suburb) return
+
+    const key = getLgaCacheKey(suburb, state, postcode)
+    if (entries.has(key)) {
+      entries.get(key).rowCount++
+      return
+    }
+
+    const lga = row['LGA'] || ''
+    const override = overrides.get(key)
+    const source = override ? 'manual' : (cache.get(key)?.source || (lga ? 'none' : 'pending'))
+    const confidence = !lga || lga === 'N/A' ? 'none' : (SOURCE_CONFIDENCE[source] || 'low')
+    const tableLga = resolveLocalLGA(lgaIndex, suburb, state, postcode)
+
+    entries.set(key, {
+      key,
+      suburb,
+      state,
+      postcode,
+      lga,
+      source,
+      confidence,
+      tableLga,
+      conflict: Boolean(tableLga && lga && tableLga !== lga && !override),
+      rowCount: 1
+    })
+  })
+
+  return [...entries.values()]
+}
+
+export const needsReview = (entry) => entry.confidence === 'none' || entry.confidence === 'low' || entry.conflict
@@ -0,0 +1,99 @@
+// Minimal PDF writer for table reports: pages with filled rectangles and text in
+// the standard Helvetica fonts, so no fonts need embedding. Coordinates are in
+// points from the top-left corner of the page.
+
+// Page sizes in points (portrait)
+export const PAGE_SIZES = {
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  a3: { label: 'A3', width: 841.89, height: 1190.55 },
+  letter: { label: 'Letter', width: 612, height: 792 },
+  legal: { label: 'Legal', width: 612, height: 1008 }
+}
+
+// WinAnsi codes for the common characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+}
+
+// Text as single-byte WinAnsi characters; anything else becomes '?'
+const toWinAnsi = (text) => Array.from(String(text), char => {
+  if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char])
+  const code = char.charCodeAt(0)
+  return code < 256 && (code < 0x80 || code > 0x9f) ? char : '?'
+}).join('')
+
+const escapePdfString = (text) => toWinAnsi(text)
+  .replace(/[\\()]/g, c => `\\${c}`)
+  .replace(/[\r\n]/g, ' ')
+
+const number = (value) => String(Math.round(value * 100) / 100)
+
+const colorOperands = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16)
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(c => number(c / 255)).join(' ')
+}
+
+export const createPdfDocument = () => {
+  const pages = []
+
+  const addPage = (width, height) => {
+    const ops = []
+    const page = {
+      width,
+      height,
+      ops,
+      rect(x, y, w, h, color) {
+        ops.push(`${colorOperands(color)} rg ${number(x)} ${number(height - y - h)} ${number(w)} ${number(h)} re f`)
+      },
+      // y is the text baseline
+      text(value, x, y, { size = 10, bold = false, color = '#000000' } = {}) {
+        if (value === '' || value === null || value === undefined) return
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${number(size)} Tf ${colorOperands(color)} rg ` +
+          `${number(x)} ${number(height - y)} Td (${escapePdfString(value)}) Tj ET`)
+      }
+    }
+    pages.push(page)
+    return page
+  }
+
+  // File bytes. Every string here is one byte per character, so string lengths
+  // are byte offsets.
+  const output = () => {
+    const objects = []
+    const addObject = (body) => {
+      objects.push(body)
+      return objects.length
+    }
+
+    const catalogId = addObject('')
+    const pagesId = addObject('')
+    const fontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+    const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+    const pageIds = pages.map(page => {
+      const content = page.ops.join('\n')
+      const contentId = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`)
+      return addObject(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${number(page.width)} ${number(page.height)}] ` +
+        `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`)
+    })
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`
+
+    let pdf = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n'
+    const offsets = objects.map((body, i) => {
+      const offset = pdf.length
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`
+      return offset
+    })
+    const xrefOffset = pdf.length
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+
+    const bytes = new Uint8Array(pdf.length)
+    for (let i = 0; i < pdf.length; i++) bytes[i] = pdf.charCodeAt(i)
+    return bytes
+  }
+
+  return { addPage, output }
+}
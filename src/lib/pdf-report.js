@@ -0,0 +1,177 @@
+import { format } from 'date-fns'
+import { buildCellStyler, styleToXlsx } from '@/lib/conditional-format'
+import { PAGE_SIZES, createPdfDocument } from '@/lib/pdf-document'
+import { measureText, truncateText } from '@/lib/text-metrics'
+import { formatTableRows } from '@/lib/table-export'
+import { loadStored, saveStored } from '@/lib/storage'
+
+// Paged PDF of the export table in the brand-table style. Wide tables are either
+// shrunk to the page width or split into column groups that repeat the first column.
+// Shrinking stops at MIN_FONT_SIZE; tables that would need smaller text are split.
+// Layout: { title, subtitle, pageSize, orientation, wideTables: 'shrink' | 'split', showDate }
+
+export const WIDE_TABLE_MODES = {
+  shrink: { label: 'Shrink to fit the page width (down to 6pt)' },
+  split: { label: 'Split columns across pages' }
+}
+
+export const DEFAULT_PDF_LAYOUT = {
+  title: 'Property Report',
+  subtitle: '',
+  pageSize: 'a4',
+  orientation: 'landscape',
+  wideTables: 'shrink',
+  showDate: true
+}
+
+const STORAGE_KEY = 'csv-table-formatter:pdf-layout'
+
+export const loadPdfLayout = () => ({
+  ...DEFAULT_PDF_LAYOUT,
+  ...loadStored(STORAGE_KEY, {}, value => value !== null && typeof value === 'object')
+})
+
+export const savePdfLayout = (layout) => saveStored(STORAGE_KEY, layout)
+
+const MARGIN = 36
+const FONT_SIZE = 8
+const MIN_FONT_SIZE = 6
+const CELL_PADDING = 5
+const MAX_COLUMN_WIDTH = 180
+const ROW_HEIGHT_RATIO = 2.2
+
+const HEADER_FILL = '#2C5F7C'
+const BAND_FILL = '#F9FAFB'
+const BORDER_COLOR = '#E5E7EB'
+const MUTED_TEXT = '#4B5563'
+const TEXT_COLOR = '#111827'
+
+// Columns per page: all of them, or groups that fit the width with the first
+// column repeated in each so rows can still be identified
+const groupColumns = (widths, available, wideTables) => {
+  const indexes = widths.map((_, i) => i)
+  const total = widths.reduce((sum, width) => sum + width, 0)
+  if (total <= available || wideTables !== 'split' || widths.length < 2) return [indexes]
+
+  const groups = []
+  let current = [0]
+  let used = widths[0]
+  indexes.slice(1).forEach(i => {
+    if (current.length > 1 && used + widths[i] > available) {
+      groups.push(current)
+      current = [0]
+      used = widths[0]
+    }
+    current.push(i)
+    used += widths[i]
+  })
+  groups.push(current)
+  return groups
+}
+
+// { bytes, splitColumns }: the PDF file and whether a shrink layout had to fall
+// back to splitting columns across pages
+export const buildPdfReport = (table, layout, onProgress) => {
+  const { rows, columns, columnRenames, columnTypes, formatRules } = table
+  const options = { ...DEFAULT_PDF_LAYOUT, ...layout }
+  const pageSize = PAGE_SIZES[options.pageSize] || PAGE_SIZES.a4
+  const landscape = options.orientation === 'landscape'
+  const pageWidth = landscape ? pageSize.height : pageSize.width
+  const pageHeight = landscape ? pageSize.width : pageSize.height
+  const contentWidth = pageWidth - MARGIN * 2
+
+  const headers = columns.map(col => columnRenames[col] || col)
+  const values = formatTableRows(table, onProgress).map(formattedRow => headers.map(header => formattedRow[header] || ''))
+  const styler = buildCellStyler(rows, formatRules || [], columnTypes)
+
+  // Natural column widths at the base font size
+  const naturalWidths = headers.map((header, c) => {
+    const widest = values.reduce((max, row) => Math.max(max, measureText(row[c], FONT_SIZE)), measureText(header, FONT_SIZE, true))
+    return Math.min(MAX_COLUMN_WIDTH, widest + CELL_PADDING * 2)
+  })
+  const naturalTotal = naturalWidths.reduce((sum, width) => sum + width, 0)
+  const fitScale = options.wideTables === 'shrink' && naturalTotal > contentWidth ? contentWidth / naturalTotal : 1
+  const scale = Math.max(fitScale, MIN_FONT_SIZE / FONT_SIZE)
+  const splitColumns = options.wideTables === 'shrink' && fitScale < scale
+  const fontSize = FONT_SIZE * scale
+  const padding = CELL_PADDING * scale
+  const rowHeight = fontSize * ROW_HEIGHT_RATIO
+  const groups = groupColumns(naturalWidths.map(width => width * scale), contentWidth, splitColumns ? 'split' : options.wideTables)
+
+  // Title block at the top of every page
+  const titleBaseline = MARGIN + 14
+  const subtitleBaseline = titleBaseline + 16
+  const tableTop = (options.subtitle ? subtitleBaseline : titleBaseline) + 14
+  const footerBaseline = pageHeight - MARGIN / 2
+  const rowsPerPage = Math.max(1, Math.floor((pageHeight - MARGIN - tableTop - rowHeight) / rowHeight))
+  const rowChunks = Math.max(1, Math.ceil(values.length / rowsPerPage))
+  const pageCount = groups.length * rowChunks
+  const dateLabel = options.showDate ? format(new Date(), 'd MMMM yyyy') : ''
+
+  const pdf = createPdfDocument()
+  let pageNumber = 0
+
+  groups.forEach(group => {
+    // Narrow groups are stretched to the full width, like the HTML table
+    const groupWidth = group.reduce((sum, c) => sum + naturalWidths[c] * scale, 0)
+    const stretch = Math.max(1, contentWidth / groupWidth)
+    const widths = group.map(c => naturalWidths[c] * scale * stretch)
+
+    for (let chunk = 0; chunk < rowChunks; chunk++) {
+      pageNumber++
+      const page = pdf.addPage(pageWidth, pageHeight)
+
+      page.text(options.title, MARGIN, titleBaseline, { size: 14, bold: true, color: HEADER_FILL })
+      if (dateLabel) {
+        page.text(dateLabel, pageWidth - MARGIN - measureText(dateLabel, 9), titleBaseline, { size: 9, color: MUTED_TEXT })
+      }
+      if (options.subtitle) page.text(options.subtitle, MARGIN, subtitleBaseline, { size: 10, color: MUTED_TEXT })
+
+      // Header row, repeated on every page
+      const textOffset = rowHeight / 2 + fontSize * 0.35
+      let x = MARGIN
+      page.rect(MARGIN, tableTop, contentWidth, rowHeight, HEADER_FILL)
+      group.forEach((c, i) => {
+        const label = truncateText(headers[c], widths[i] - padding * 2, fontSize, true)
+        page.text(label, x + padding, tableTop + textOffset, { size: fontSize, bold: true, color: '#FFFFFF' })
+        x += widths[i]
+      })
+
+      const first = chunk * rowsPerPage
+      values.slice(first, first + rowsPerPage).forEach((rowValues, offset) => {
+        const index = first + offset
+        const top = tableTop + rowHeight * (offset + 1)
+        if (index % 2 === 1) page.rect(MARGIN, top, contentWidth, rowHeight, BAND_FILL)
+
+        x = MARGIN
+        group.forEach((c, i) => {
+          // Same flat colours as the Excel export
+          const style = styler && styleToXlsx(styler(rows[index], columns[c]))
+          if (style?.fill) page.rect(x, top, widths[i], rowHeight, `#${style.fill}`)
+          if (style?.bar) page.rect(x, top, widths[i] * style.bar.ratio, rowHeight, `#${style.bar.color}`)
+          const text = truncateText(rowValues[c], widths[i] - padding * 2, fontSize)
+          page.text(text, x + padding, top + textOffset, {
+            size: fontSize,
+            color: style?.font?.color ? `#${style.font.color}` : TEXT_COLOR
+          })
+          x += widths[i]
+        })
+        page.rect(MARGIN, top + rowHeight - 0.5, contentWidth, 0.5, BORDER_COLOR)
+      })
+
+      const pageLabel = `Page ${pageNumber} of ${pageCount}`
+      page.text(pageLabel, (pageWidth - measureText(pageLabel, 8)) / 2, footerBaseline, { size: 8, color: MUTED_TEXT })
+      if (groups.length > 1) {
+        // The repeated first column isn't counted, except on the page that starts with it
+        const firstColumn = group === groups[0] ? 1 : group[1] + 1
+        const lastColumn = group[group.length - 1] + 1
+        const columnLabel = firstColumn === lastColumn
+          ? `Column ${lastColumn} of ${headers.length}`
+          : `Columns ${firstColumn}–${lastColumn} of ${headers.length}`
+        page.text(columnLabel, MARGIN, footerBaseline, { size: 8, color: MUTED_TEXT })
+      }
+    }
+  })
+
+  return { bytes: pdf.output(), splitColumns }
+}
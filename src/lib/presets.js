@@ -0,0 +1,86 @@
+import { loadStored, saveStored } from '@/lib/storage'
+
+// Named column layouts (selection, order, renames and formats) saved in localStorage.
+// Preset: { id, name, createdAt, headerFingerprint, selectedColumns, columnRenames, columnTypes }
+
+const STORAGE_KEY = 'csv-table-formatter:presets'
+
+export const loadPresets = () => loadStored(STORAGE_KEY, [], Array.isArray)
+
+export const savePresets = (presets) => saveStored(STORAGE_KEY, presets)
+
+// Order-insensitive FNV-1a hash of a file's header set, used to recognise
+// repeat uploads with the same schema
+export const getHeaderFingerprint = (headers) => {
+  const key = [...new Set(headers.map(header => header.trim().toLowerCase()))].sort().join('\u0000')
+  let hash = 0x811c9dc5
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0')
+}
+
+// Most recently saved preset created from a file with the same headers
+export const findMatchingPreset = (presets, headers) => {
+  const fingerprint = getHeaderFingerprint(headers)
+  return presets
+    .filter(preset => preset.headerFingerprint === fingerprint)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))[0] || null
+}
+
+// Capture the current layout. Only non-identity renames and the selected columns'
+// types are kept so presets stay small and portable between files.
+export const createPreset = (name, { headers, selectedColumns, columnRenames, columnTypes }) => ({
+  id: crypto.randomUUID(),
+  name,
+  createdAt: new Date().toISOString(),
+  headerFingerprint: getHeaderFingerprint(headers),
+  selectedColumns: [...selectedColumns],
+  columnRenames: Object.fromEntries(selectedColumns
+    .filter(col => columnRenames[col] && columnRenames[col] !== col)
+    .map(col => [col, columnRenames[col]])),
+  columnTypes: Object.fromEntries(selectedColumns
+    .filter(col => columnTypes[col])
+    .map(col => [col, columnTypes[col]]))
+})
+
+// Layout state for the loaded headers; preset columns missing from the file are skipped
+export const applyPreset = (preset, headers, columnTypes) => {
+  const selectedColumns = preset.selectedColumns.filter(col => headers.includes(col))
+  const columnRenames = {}
+  headers.forEach(header => {
+    columnRenames[header] = preset.columnRenames[header] || header
+  })
+  return {
+    selectedColumns,
+    columnRenames,
+    columnTypes: { ...columnTypes, ...preset.columnTypes },
+    missingColumns: preset.selectedColumns.filter(col => !headers.includes(col))
+  }
+}
+
+export const exportPresetsJson = (presets) => JSON.stringify({
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  presets
+}, null, 2)
+
+// Accepts the export format above, a bare array, or a single preset object
+export const parsePresetsJson = (text) => {
+  const data = JSON.parse(text)
+  const presets = Array.isArray(data) ? data : (data.presets || [data])
+
+  const valid = presets.filter(preset => preset && preset.name && Array.isArray(preset.selectedColumns))
+  if (valid.length === 0) throw new Error('No presets found in file')
+
+  return valid.map(preset => ({
+    id: preset.id || crypto.randomUUID(),
+    name: preset.name,
+    createdAt: preset.createdAt || new Date().toISOString(),
+    headerFingerprint: preset.headerFingerprint || null,
+    selectedColumns: preset.selectedColumns,
+    columnRenames: preset.columnRenames || {},
+    columnTypes: preset.columnTypes || {}
+  }))
+}
@@ -0,0 +1,143 @@
+import { getColumnType, parseNumber } from '@/lib/column-types'
+import { getComparableValue, isNumericType } from '@/lib/table-query'
+import { loadStored, saveStored } from '@/lib/storage'
+
+// Row filter rules evaluated against raw cell values, so "Vacancy Rate < 1" means
+// under 1% whatever the column's display format.
+// Group: { id, combinator: 'and' | 'or', rules: [rule | group] }
+// Rule:  { id, column, operator, value }
+
+const STORAGE_KEY = 'csv-table-formatter:rule-sets'
+
+export const RULE_OPERATORS = {
+  lt: { label: '<' },
+  lte: { label: '≤' },
+  gt: { label: '>' },
+  gte: { label: '≥' },
+  eq: { label: '=' },
+  neq: { label: '≠' },
+  in: { label: 'is one of', hint: 'Comma-separated, e.g. QLD, WA' },
+  notIn: { label: 'is not one of', hint: 'Comma-separated, e.g. NSW, VIC' },
+  contains: { label: 'contains' },
+  empty: { label: 'is empty', noValue: true },
+  notEmpty: { label: 'is not empty', noValue: true }
+}
+
+const ORDER_OPERATORS = ['lt', 'lte', 'gt', 'gte']
+
+export const createRule = (column = '') => ({ id: crypto.randomUUID(), column, operator: 'gt', value: '' })
+
+export const createRuleGroup = (combinator = 'and') => ({ id: crypto.randomUUID(), combinator, rules: [] })
+
+export const isRuleGroup = (item) => Array.isArray(item?.rules)
+
+// Rules without a column, or without a value when the operator needs one, are ignored
+export const isRuleComplete = (rule) => Boolean(
+  rule.column && RULE_OPERATORS[rule.operator] &&
+  (RULE_OPERATORS[rule.operator].noValue || String(rule.value ?? '').trim() !== '')
+)
+
+export const countRules = (group) => group.rules.reduce(
+  (count, item) => count + (isRuleGroup(item) ? countRules(item) : isRuleComplete(item) ? 1 : 0),
+  0
+)
+
+const splitList = (value) => String(value).split(/[,;]/).map(item => item.trim().toLowerCase()).filter(Boolean)
+
+// Rule values are typed in display units like the grid's range filters
+// ("1" or "1%" for 1%), and dates in any format the column accepts
+const toComparableRuleValue = (value, columnType) => {
+  if (isNumericType(columnType)) {
+    const num = parseNumber(value)
+    return isNaN(num) ? null : num
+  }
+  return getComparableValue(value, columnType)
+}
+
+// Predicate for a single rule; also used for conditional formatting thresholds
+export const compileRule = (rule, columnTypes) => {
+  const columnType = getColumnType(columnTypes, rule.column)
+  const { operator, column } = rule
+
+  if (operator === 'empty' || operator === 'notEmpty') {
+    const wantEmpty = operator === 'empty'
+    return (row) => (String(row[column] ?? '').trim() === '') === wantEmpty
+  }
+  if (operator === 'in' || operator === 'notIn') {
+    const values = new Set(splitList(rule.value))
+    const wantMatch = operator === 'in'
+    return (row) => values.has(String(row[column] ?? '').trim().toLowerCase()) === wantMatch
+  }
+  if (operator === 'contains') {
+    const text = String(rule.value).trim().toLowerCase()
+    return (row) => String(row[column] ?? '').toLowerCase().includes(text)
+  }
+
+  const target = toComparableRuleValue(rule.value, columnType)
+  return (row) => {
+    const value = getComparableValue(row[column], columnType)
+    if (value === null || target === null) return operator === 'neq'
+    if (typeof value !== typeof target) {
+      // Text compared against text only; a number rule never matches a text cell
+      return operator === 'neq'
+    }
+    if (ORDER_OPERATORS.includes(operator)) {
+      const diff = typeof value === 'number' ? value - target : value.localeCompare(target, undefined, { numeric: true })
+      if (operator === 'lt') return diff < 0
+      if (operator === 'lte') return diff <= 0
+      if (operator === 'gt') return diff > 0
+      return diff >= 0
+    }
+    return (value === target) === (operator === 'eq')
+  }
+}
+
+// Single predicate for a rule group. Empty groups match every row.
+export const compileRuleGroup = (group, columnTypes) => {
+  const predicates = group.rules
+    .filter(item => isRuleGroup(item) ? countRules(item) > 0 : isRuleComplete(item))
+    .map(item => isRuleGroup(item) ? compileRuleGroup(item, columnTypes) : compileRule(item, columnTypes))
+
+  if (predicates.length === 0) return () => true
+  return group.combinator === 'or'
+    ? (row) => predicates.some(predicate => predicate(row))
+    : (row) => predicates.every(predicate => predicate(row))
+}
+
+export const filterRowsByRules = (rows, group, columnTypes) => {
+  if (!rows || countRules(group) === 0) return rows
+  const predicate = compileRuleGroup(group, columnTypes)
+  return rows.filter(predicate)
+}
+
+// Columns used by complete rules, so rules for columns missing from a file can be flagged
+export const getRuleColumns = (group) => group.rules.flatMap(item => {
+  if (isRuleGroup(item)) return getRuleColumns(item)
+  return isRuleComplete(item) ? [item.column] : []
+})
+
+// Immutable update of the rule or group with the given id anywhere in the tree
+export const updateRuleTree = (group, id, update) => {
+  if (group.id === id) return update(group)
+  return {
+    ...group,
+    rules: group.rules
+      .map(item => {
+        if (item.id === id) return update(item)
+        return isRuleGroup(item) ? updateRuleTree(item, id, update) : item
+      })
+      .filter(Boolean)
+  }
+}
+
+// Saved rule sets: { id, name, createdAt, rules }
+export const loadRuleSets = () => loadStored(STORAGE_KEY, [], Array.isArray)
+
+export const saveRuleSets = (ruleSets) => saveStored(STORAGE_KEY, ruleSets)
+
+export const createRuleSet = (name, rules) => ({
+  id: crypto.randomUUID(),
+  name,
+  createdAt: new Date().toISOString(),
+  rules
+})
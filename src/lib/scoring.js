@@ -0,0 +1,156 @@
+import { getColumnType } from '@/lib/column-types'
+import { getComparableValue } from '@/lib/table-query'
+import { loadStored, saveStored } from '@/lib/storage'
+
+// Weighted investment score across several numeric columns, plus a rank.
+// Config: { metrics: [{ column, weight, direction: 'higher' | 'lower' }], normalization: 'minmax' | 'zscore' }
+
+const STORAGE_KEY = 'csv-table-formatter:scoring'
+
+export const SCORE_COLUMN = 'Score'
+export const RANK_COLUMN = 'Rank'
+
+export const DEFAULT_SCORE_COLUMNS = { score: SCORE_COLUMN, rank: RANK_COLUMN }
+
+// Names for the Score and Rank columns that don't overwrite a loaded or
+// calculated column: "Score", else "Score (2)", "Score (3)", ...
+export const getScoreColumns = (columns) => {
+  const unused = (name) => {
+    let candidate = name
+    for (let n = 2; columns.includes(candidate); n++) candidate = `${name} (${n})`
+    return candidate
+  }
+  return { score: unused(SCORE_COLUMN), rank: unused(RANK_COLUMN) }
+}
+
+export const getScoreColumnTypes = ({ score, rank } = DEFAULT_SCORE_COLUMNS) => ({
+  [score]: { type: 'decimal', options: { decimals: 1 } },
+  [rank]: { type: 'integer' }
+})
+
+export const NORMALIZATIONS = {
+  minmax: { label: 'Min-max (0–100)', description: 'Each metric is scaled so the worst suburb is 0 and the best is 100' },
+  zscore: { label: 'Z-score', description: 'Each metric is measured in standard deviations from the average' }
+}
+
+export const DEFAULT_SCORING = { metrics: [], normalization: 'minmax' }
+
+export const loadScoringConfig = () => {
+  const stored = loadStored(STORAGE_KEY, null, value => Array.isArray(value?.metrics))
+  return stored ? { ...DEFAULT_SCORING, ...stored } : DEFAULT_SCORING
+}
+
+export const saveScoringConfig = (config) => saveStored(STORAGE_KEY, config)
+
+// Metrics that take part in the score: a column and a positive weight
+export const getActiveMetrics = (config) =>
+  config.metrics.filter(metric => metric.column && Number(metric.weight) > 0)
+
+export const isScoringEnabled = (config) => getActiveMetrics(config).length > 0
+
+// Per-metric normaliser built from the column's spread of values
+const buildNormalizer = (values, normalization) => {
+  const present = values.filter(value => value !== null)
+  if (present.length === 0) return () => null
+
+  if (normalization === 'zscore') {
+    const mean = present.reduce((sum, value) => sum + value, 0) / present.length
+    const sd = Math.sqrt(present.reduce((sum, value) => sum + (value - mean) ** 2, 0) / present.length)
+    return (value) => (value === null ? null : sd === 0 ? 0 : (value - mean) / sd)
+  }
+
+  const min = present.reduce((a, b) => Math.min(a, b))
+  const max = present.reduce((a, b) => Math.max(a, b))
+  return (value) => (value === null ? null : max === min ? 0.5 : (value - min) / (max - min))
+}
+
+// { score, rank } per row index. The score is the weighted mean of the row's
+// normalised metrics; metrics a row has no value for are left out of its mean.
+// Ranks start at 1 for the best score and ties share a rank.
+export const computeScores = (rows, config, columnTypes) => {
+  const metrics = getActiveMetrics(config)
+
+  const normalized = metrics.map(metric => {
+    const columnType = getColumnType(columnTypes, metric.column)
+    const values = rows.map(row => {
+      const value = getComparableValue(row[metric.column], columnType)
+      return typeof value === 'number' ? value : null
+    })
+    const normalize = buildNormalizer(values, config.normalization)
+    const sign = metric.direction === 'lower' ? -1 : 1
+    return values.map(value => {
+      const n = normalize(value)
+      if (n === null) return null
+      // Min-max values are flipped within 0–1 rather than negated
+      return config.normalization === 'minmax' && sign < 0 ? 1 - n : sign * n
+    })
+  })
+
+  const scores = rows.map((row, index) => {
+    let weighted = 0
+    let weight = 0
+    metrics.forEach((metric, i) => {
+      const value = normalized[i][index]
+      if (value === null) return
+      weighted += value * Number(metric.weight)
+      weight += Number(metric.weight)
+    })
+    if (weight === 0) return null
+    const score = weighted / weight
+    return config.normalization === 'minmax' ? score * 100 : score
+  })
+
+  const order = scores
+    .map((score, index) => ({ score, index }))
+    .filter(item => item.score !== null)
+    .sort((a, b) => b.score - a.score)
+  const ranks = new Array(rows.length).fill(null)
+  order.forEach((item, position) => {
+    const previous = order[position - 1]
+    ranks[item.index] = previous && previous.score === item.score ? ranks[previous.index] : position + 1
+  })
+
+  return scores.map((score, index) => ({ score, rank: ranks[index] }))
+}
+
+// Rows with Score and Rank added under the given column names. Rows whose score and
+// rank didn't change keep their previous object (cached per source row) so the
+// preview's cell cache holds.
+export const createScoreApplier = () => {
+  let cache = new WeakMap()
+
+  return (rows, config, columnTypes, { score: scoreColumn, rank: rankColumn } = DEFAULT_SCORE_COLUMNS) => {
+    if (!rows || !isScoringEnabled(config)) {
+      cache = new WeakMap()
+      return rows
+    }
+
+    const results = computeScores(rows, config, columnTypes)
+    return rows.map((row, index) => {
+      const score = results[index].score === null ? '' : String(Math.round(results[index].score * 1000) / 1000)
+      const rank = results[index].rank === null ? '' : String(results[index].rank)
+      const cached = cache.get(row)
+      if (cached && cached[scoreColumn] === score && cached[rankColumn] === rank) return cached
+
+      const scored = { ...row, [scoreColumn]: score, [rankColumn]: rank }
+      cache.set(row, scored)
+      return scored
+    })
+  }
+}
+
+// Weight table written next to exports so readers can see how the score was built
+export const describeScoring = (config) => {
+  const metrics = getActiveMetrics(config)
+  const totalWeight = metrics.reduce((sum, metric) => sum + Number(metric.weight), 0)
+  return {
+    config,
+    normalization: NORMALIZATIONS[config.normalization]?.label || config.normalization,
+    metrics: metrics.map(metric => ({
+      column: metric.column,
+      weight: Number(metric.weight),
+      share: totalWeight > 0 ? Number(metric.weight) / totalWeight : 0,
+      direction: metric.direction === 'lower' ? 'Lower is better' : 'Higher is better'
+    }))
+  }
+}
@@ -0,0 +1,24 @@
+// JSON settings in localStorage. Storage can be unavailable (private browsing,
+// quota, blocked cookies) or hold stale data, so reads fall back to a default and
+// writes are best-effort; both warn in the console instead of throwing.
+
+// The stored value, or the fallback when it's missing, unreadable or fails isValid
+export const loadStored = (key, fallback, isValid = () => true) => {
+  try {
+    const raw = localStorage.getItem(key)
+    if (raw === null) return fallback
+    const value = JSON.parse(raw)
+    return isValid(value) ? value : fallback
+  } catch (error) {
+    console.warn(`Failed to load ${key}:`, error)
+    return fallback
+  }
+}
+
+export const saveStored = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (error) {
+    console.warn(`Failed to save ${key}:`, error)
+  }
+}
@@ -0,0 +1,266 @@
+import * as XLSX from 'xlsx'
+import { formatValue, getColumnType, getExcelFormat, toRawValue } from '@/lib/column-types'
+import { buildCellStyler, styleToCss, styleToXlsx } from '@/lib/conditional-format'
+import { applyXlsxStyles } from '@/lib/xlsx-styles'
+
+// Rows between progress callbacks for long loops
+const PROGRESS_INTERVAL = 2000
+
+const reportProgress = (onProgress, processed, total) => {
+  if (onProgress && (processed % PROGRESS_INTERVAL === 0 || processed === total)) {
+    onProgress(processed, total)
+  }
+}
+
+// Formatted rows keyed by renamed header, as shown in the preview and HTML export
+export const formatTableRows = ({ rows, columns, columnRenames, columnTypes }, onProgress) => {
+  const types = columns.map(col => getColumnType(columnTypes, col))
+
+  return rows.map((row, index) => {
+    const formattedRow = {}
+    columns.forEach((col, i) => {
+      if (row[col] !== undefined) {
+        formattedRow[columnRenames[col] || col] = formatValue(row[col], types[i])
+      }
+    })
+    reportProgress(onProgress, index + 1, rows.length)
+    return formattedRow
+  })
+}
+
+// Typed raw values per row, in column order, as written to Excel
+export const rawTableRows = ({ rows, columns, columnTypes }, onProgress) => {
+  const types = columns.map(col => getColumnType(columnTypes, col))
+
+  return rows.map((row, index) => {
+    const values = columns.map((col, i) => toRawValue(row[col], types[i]))
+    reportProgress(onProgress, index + 1, rows.length)
+    return values
+  })
+}
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Icon markup for a styled cell, placed before the value
+const iconHtml = (style) => (style?.icon
+  ? `<span style="color: ${style.icon.color}; margin-right: 4px">${style.icon.glyph}</span>`
+  : '')
+
+// <td> with the cell's conditional formatting inlined after any base styles
+const styledCellHtml = (value, style, baseCss = '') => {
+  const css = [baseCss, styleToCss(style)].filter(Boolean).join('; ')
+  return `<td${css ? ` style="${css}"` : ''}>${iconHtml(style)}${escapeHtml(value)}</td>`
+}
+
+// Standalone HTML report. Conditional formatting is inlined on each cell so the
+// file looks the same wherever it's opened.
+export const buildHtmlDocument = (table, onProgress) => {
+  const { rows, columns, columnRenames, formatRules, scoring } = table
+  const tableData = formatTableRows(table, onProgress)
+  const tableHeaders = columns.map(col => columnRenames[col] || col)
+  const styler = buildCellStyler(rows, formatRules || [], table.columnTypes)
+
+  const cellHtml = (row, formattedRow, col, header) =>
+    styledCellHtml(formattedRow[header] || '', styler && styler(row, col))
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>Report Table</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 20px; }
+        .brand-table {
+            border-collapse: collapse;
+            width: 100%;
+            margin: 1rem 0;
+            box-shadow: 0 2px 8px rgba(0,0,0,0.1);
+            border-radius: 8px;
+            overflow: hidden;
+        }
+        .brand-table th {
+            background-color: #2C5F7C;
+            color: white;
+            padding: 12px 16px;
+            text-align: left;
+            font-weight: 600;
+            font-size: 14px;
+        }
+        .brand-table td {
+            padding: 12px 16px;
+            border-bottom: 1px solid #e5e7eb;
+            font-size: 14px;
+        }
+        .brand-table tr:nth-child(even) {
+            background-color: #f9fafb;
+        }
+        .brand-table tr:hover {
+            background-color: #f3f4f6;
+        }
+        .score-weights { font-size: 13px; color: #4b5563; }
+        .score-weights td, .score-weights th { padding: 4px 12px 4px 0; text-align: left; }
+    </style>
+</head>
+<body>
+    <table class="brand-table">
+        <thead>
+            <tr>
+                ${tableHeaders.map(header => `<th>${escapeHtml(header)}</th>`).join('')}
+            </tr>
+        </thead>
+        <tbody>
+            ${tableData.map((formattedRow, i) =>
+                `<tr>${columns.map((col, c) => cellHtml(rows[i], formattedRow, col, tableHeaders[c])).join('')}</tr>`
+            ).join('')}
+        </tbody>
+    </table>
+    ${scoring ? `
+    <table class="score-weights">
+        <caption>Score weights (${scoring.normalization})</caption>
+        <tr><th>Metric</th><th>Weight</th><th>Share</th><th>Direction</th></tr>
+        ${scoring.metrics.map(metric =>
+            `<tr><td>${escapeHtml(metric.column)}</td><td>${metric.weight}</td><td>${Math.round(metric.share * 100)}%</td><td>${metric.direction}</td></tr>`
+        ).join('')}
+    </table>
+    <script type="application/json" id="score-config">${JSON.stringify(scoring.config).replace(/</g, '\\u003c')}</script>` : ''}
+</body>
+</html>`
+}
+
+// Inline styles for pasted tables; mail clients and office apps drop <style> blocks
+const CLIPBOARD_TABLE_CSS = "border-collapse: collapse; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; font-size: 14px"
+const CLIPBOARD_HEADER_CSS = 'background-color: #2C5F7C; color: #ffffff; padding: 8px 12px; text-align: left; font-weight: 600'
+const CLIPBOARD_CELL_CSS = 'padding: 8px 12px; border-bottom: 1px solid #e5e7eb'
+const CLIPBOARD_BAND_CSS = 'background-color: #f9fafb'
+
+// Tabs and line breaks inside a value would start a new cell or row when pasted
+const toTsvValue = (value) => String(value ?? '').replace(/[\t\r\n]+/g, ' ')
+
+// The table as clipboard formats: an inline-styled HTML table for documents and
+// email, and tab-separated text that pastes into spreadsheet cells
+export const buildClipboardTable = (table, onProgress) => {
+  const { rows, columns, columnRenames, formatRules } = table
+  const tableData = formatTableRows(table, onProgress)
+  const tableHeaders = columns.map(col => columnRenames[col] || col)
+  const styler = buildCellStyler(rows, formatRules || [], table.columnTypes)
+
+  const bodyHtml = tableData.map((formattedRow, i) => {
+    const baseCss = i % 2 === 1 ? `${CLIPBOARD_CELL_CSS}; ${CLIPBOARD_BAND_CSS}` : CLIPBOARD_CELL_CSS
+    const cells = columns.map((col, c) =>
+      styledCellHtml(formattedRow[tableHeaders[c]] || '', styler && styler(rows[i], col), baseCss))
+    return `<tr>${cells.join('')}</tr>`
+  })
+  const html = `<table class="brand-table" style="${CLIPBOARD_TABLE_CSS}">` +
+    `<thead><tr>${tableHeaders.map(header => `<th style="${CLIPBOARD_HEADER_CSS}">${escapeHtml(header)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${bodyHtml.join('')}</tbody></table>`
+
+  const tsv = [tableHeaders, ...tableData.map(formattedRow => tableHeaders.map(header => formattedRow[header] || ''))]
+    .map(values => values.map(toTsvValue).join('\t'))
+    .join('\n')
+
+  return { html, tsv }
+}
+
+// Column widths (in characters) fitted to the header and formatted values
+const MIN_COLUMN_WIDTH = 8
+const MAX_COLUMN_WIDTH = 60
+
+const fitColumnWidth = (length) => Math.min(MAX_COLUMN_WIDTH, Math.max(MIN_COLUMN_WIDTH, length + 2))
+
+// Workbook with typed raw values and each column's Excel number format
+export const buildExcelWorkbook = ({ rows, columns, columnRenames, columnTypes, scoring }, onProgress) => {
+  const wb = XLSX.utils.book_new()
+
+  // Get the column headers (renamed columns)
+  const tableHeaders = columns.map(col => columnRenames[col] || col)
+  const types = columns.map(col => getColumnType(columnTypes, col))
+  // Bold header text runs a little wider than the values below it
+  const widths = tableHeaders.map(header => Math.ceil(header.length * 1.1))
+
+  // Headers, then data rows with typed raw values for proper Excel formatting
+  const excelData = [tableHeaders]
+  rows.forEach((row, index) => {
+    excelData.push(columns.map((col, i) => {
+      const formatted = String(formatValue(row[col], types[i]) ?? '')
+      if (formatted.length > widths[i]) widths[i] = formatted.length
+      return toRawValue(row[col], types[i])
+    }))
+    reportProgress(onProgress, index + 1, rows.length)
+  })
+
+  const ws = XLSX.utils.aoa_to_sheet(excelData)
+  ws['!cols'] = widths.map(width => ({ wch: fitColumnWidth(width) }))
+  ws['!autofilter'] = { ref: ws['!ref'] }
+
+  // Apply each column's number format from the type registry
+  const range = XLSX.utils.decode_range(ws['!ref'])
+  for (let col = 0; col < tableHeaders.length; col++) {
+    const numberFormat = getExcelFormat(types[col])
+    if (!numberFormat) continue
+
+    for (let row = 1; row <= range.e.r; row++) {
+      const cellAddress = XLSX.utils.encode_cell({ r: row, c: col })
+      if (!ws[cellAddress]) continue
+      ws[cellAddress].z = numberFormat
+    }
+  }
+
+  XLSX.utils.book_append_sheet(wb, ws, 'Property Data')
+
+  // How the Score column was built, when it's part of the export
+  if (scoring) {
+    const weights = XLSX.utils.aoa_to_sheet([
+      ['Metric', 'Weight', 'Share', 'Direction'],
+      ...scoring.metrics.map(metric => [metric.column, metric.weight, metric.share, metric.direction]),
+      [],
+      ['Normalisation', scoring.normalization]
+    ])
+    scoring.metrics.forEach((metric, i) => {
+      weights[XLSX.utils.encode_cell({ r: i + 1, c: 2 })].z = '0%'
+    })
+    weights['!cols'] = [{ wch: 30 }, { wch: 10 }, { wch: 10 }, { wch: 18 }]
+    XLSX.utils.book_append_sheet(wb, weights, 'Score Weights')
+  }
+
+  return wb
+}
+
+// Brand colours shared with the HTML export's brand-table
+const HEADER_STYLE = { fill: '2C5F7C', font: { bold: true, color: 'FFFFFF' }, border: '2C5F7C' }
+const BAND_FILL = 'F9FAFB'
+const CELL_BORDER = 'E5E7EB'
+
+const headerStyles = (columnCount) => new Map(
+  Array.from({ length: columnCount }, (_, c) => [XLSX.utils.encode_cell({ r: 0, c }), HEADER_STYLE])
+)
+
+// Styles for applyXlsxStyles, one entry per sheet written by buildExcelWorkbook:
+// the brand header, thin borders, zebra banding and conditional formatting on top
+export const buildExcelSheetStyles = ({ rows, columns, columnTypes, formatRules, scoring }) => {
+  const cells = headerStyles(columns.length)
+  const styler = buildCellStyler(rows, formatRules || [], columnTypes)
+  rows.forEach((row, r) => {
+    // Every second data row is shaded, like tr:nth-child(even) in the HTML export
+    const base = r % 2 === 1 ? { fill: BAND_FILL, border: CELL_BORDER } : { border: CELL_BORDER }
+    columns.forEach((col, c) => {
+      const conditional = styler && styleToXlsx(styler(row, col))
+      cells.set(XLSX.utils.encode_cell({ r: r + 1, c }), conditional ? { ...base, ...conditional } : base)
+    })
+  })
+
+  const sheets = [{ cells, frozenRows: 1 }]
+  if (scoring) sheets.push({ cells: headerStyles(4) })
+  return sheets
+}
+
+// .xlsx file contents as an ArrayBuffer, ready to transfer out of a worker
+export const writeExcelWorkbook = (wb, sheetStyles = []) => {
+  const output = applyXlsxStyles(XLSX.write(wb, { bookType: 'xlsx', type: 'array' }), sheetStyles)
+  if (output instanceof ArrayBuffer) return output
+  return output.buffer.slice(output.byteOffset, output.byteOffset + output.byteLength)
+}
@@ -0,0 +1,129 @@
+import { buildCellStyler } from '@/lib/conditional-format'
+import { formatTableRows } from '@/lib/table-export'
+import { measureText, truncateText } from '@/lib/text-metrics'
+
+// The export table drawn as a standalone SVG in the brand-table style, for slide
+// decks and newsletters. PNGs are rasterised from the same SVG on the main thread.
+
+const FONT_SIZE = 14
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif'
+const ROW_HEIGHT = 44
+const CELL_PADDING = 16
+const MAX_COLUMN_WIDTH = 360
+const ICON_GAP = 4
+const CORNER_RADIUS = 8
+
+const HEADER_FILL = '#2C5F7C'
+const BAND_FILL = '#F9FAFB'
+const BORDER_COLOR = '#E5E7EB'
+
+// Browsers refuse to draw canvases past these sizes
+const MAX_CANVAS_SIDE = 16384
+const MAX_CANVAS_PIXELS = 16384 * 8192
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// 1-based, inclusive row range clamped to the table; a blank end means the last row
+export const resolveRowRange = ({ from, to } = {}, rowCount) => {
+  const first = Math.min(Math.max(1, Number(from) || 1), Math.max(1, rowCount))
+  const last = to === '' || to === undefined || to === null ? rowCount : Math.min(rowCount, Math.max(first, Number(to) || rowCount))
+  return { first, last }
+}
+
+// { svg, width, height } for the rows in rowRange
+export const buildTableSvg = (table, rowRange, onProgress) => {
+  const { first, last } = resolveRowRange(rowRange, table.rows.length)
+  const rows = table.rows.slice(first - 1, last)
+  const { columns, columnRenames, columnTypes, formatRules } = table
+  const headers = columns.map(col => columnRenames[col] || col)
+  const values = formatTableRows({ ...table, rows }, onProgress)
+    .map(formattedRow => headers.map(header => formattedRow[header] || ''))
+  // Scales and bars are measured over the whole table so a slice matches the preview
+  const styler = buildCellStyler(table.rows, formatRules || [], columnTypes)
+  const styles = rows.map(row => columns.map(col => (styler ? styler(row, col) : null)))
+
+  const iconWidth = (style) => (style?.icon ? measureText(style.icon.glyph, FONT_SIZE) + ICON_GAP : 0)
+  const widths = headers.map((header, c) => {
+    const widest = values.reduce(
+      (max, row, r) => Math.max(max, measureText(row[c], FONT_SIZE) + iconWidth(styles[r][c])),
+      measureText(header, FONT_SIZE, true)
+    )
+    return Math.ceil(Math.min(MAX_COLUMN_WIDTH, widest + CELL_PADDING * 2))
+  })
+  const width = widths.reduce((sum, w) => sum + w, 0)
+  const height = ROW_HEIGHT * (values.length + 1)
+  const lefts = widths.map((_, c) => widths.slice(0, c).reduce((sum, w) => sum + w, 0))
+  const maxText = (c, style) => widths[c] - CELL_PADDING * 2 - iconWidth(style)
+
+  const parts = [
+    `<rect width="${width}" height="${ROW_HEIGHT}" fill="${HEADER_FILL}"/>`,
+    ...headers.map((header, c) =>
+      `<text x="${lefts[c] + CELL_PADDING}" y="${ROW_HEIGHT / 2}" fill="#FFFFFF" font-weight="600">` +
+      `${escapeXml(truncateText(header, maxText(c), FONT_SIZE, true))}</text>`)
+  ]
+
+  values.forEach((rowValues, r) => {
+    const top = ROW_HEIGHT * (r + 1)
+    // Zebra striping follows the row's position in the full table, like the preview
+    if ((first - 1 + r) % 2 === 1) parts.push(`<rect y="${top}" width="${width}" height="${ROW_HEIGHT}" fill="${BAND_FILL}"/>`)
+
+    rowValues.forEach((value, c) => {
+      const style = styles[r][c]
+      const left = lefts[c]
+      if (style?.background) {
+        parts.push(`<rect x="${left}" y="${top}" width="${widths[c]}" height="${ROW_HEIGHT}" fill="${style.background}"/>`)
+      }
+      if (style?.bar) {
+        parts.push(`<rect x="${left}" y="${top}" width="${Math.round(widths[c] * style.bar.ratio * 10) / 10}" ` +
+          `height="${ROW_HEIGHT}" fill="${style.bar.color}" fill-opacity="0.6"/>`)
+      }
+      let x = left + CELL_PADDING
+      if (style?.icon) {
+        parts.push(`<text x="${x}" y="${top + ROW_HEIGHT / 2}" fill="${style.icon.color}">${style.icon.glyph}</text>`)
+        x = Math.round((x + iconWidth(style)) * 10) / 10
+      }
+      const text = truncateText(value, maxText(c, style), FONT_SIZE)
+      if (text) {
+        parts.push(`<text x="${x}" y="${top + ROW_HEIGHT / 2}"${style?.color ? ` fill="${style.color}"` : ''}>${escapeXml(text)}</text>`)
+      }
+    })
+    parts.push(`<rect y="${top + ROW_HEIGHT - 1}" width="${width}" height="1" fill="${BORDER_COLOR}"/>`)
+  })
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<defs><clipPath id="table-corners"><rect width="${width}" height="${height}" rx="${CORNER_RADIUS}"/></clipPath></defs>` +
+    `<g clip-path="url(#table-corners)" font-family="${FONT_FAMILY}" font-size="${FONT_SIZE}" dominant-baseline="central">` +
+    `<rect width="${width}" height="${height}" fill="#FFFFFF"/>${parts.join('')}</g></svg>`
+
+  return { svg, width, height }
+}
+
+// PNG blob of an SVG drawn at `scale` times its size. Browser only.
+export const svgToPngBlob = (svg, width, height, scale) => new Promise((resolve, reject) => {
+  const canvasWidth = Math.ceil(width * scale)
+  const canvasHeight = Math.ceil(height * scale)
+  if (canvasWidth > MAX_CANVAS_SIDE || canvasHeight > MAX_CANVAS_SIDE || canvasWidth * canvasHeight > MAX_CANVAS_PIXELS) {
+    reject(new Error('The image is too large to draw. Choose fewer rows or a smaller scale, or export SVG.'))
+    return
+  }
+
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+  const image = new Image()
+  image.onload = () => {
+    URL.revokeObjectURL(url)
+    const canvas = document.createElement('canvas')
+    canvas.width = canvasWidth
+    canvas.height = canvasHeight
+    canvas.getContext('2d').drawImage(image, 0, 0, canvasWidth, canvasHeight)
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the PNG'))), 'image/png')
+  }
+  image.onerror = () => {
+    URL.revokeObjectURL(url)
+    reject(new Error('Could not draw the table image'))
+  }
+  image.src = url
+})
@@ -0,0 +1,84 @@
+import { parseDate, parseNumber } from '@/lib/column-types'
+
+// Column types compared and range-filtered as numbers
+export const NUMERIC_TYPES = ['percentage', 'currency', 'integer', 'decimal']
+
+export const isNumericType = (columnType) => NUMERIC_TYPES.includes(columnType.type)
+
+// Typed value used for sorting and range filters. Percentages come back in display
+// units (3.45 for 3.45%) so filters can be typed the way the table shows them;
+// the ordering is the same as the stored fraction's.
+export const getComparableValue = (value, columnType) => {
+  if (value === null || value === undefined || value === '') return null
+  const { type, options } = columnType
+
+  if (isNumericType(columnType)) {
+    const num = parseNumber(value)
+    if (isNaN(num)) return null
+    return type === 'percentage' && options.fraction ? num * 100 : num
+  }
+  if (type === 'date') {
+    return parseDate(value)?.getTime() ?? null
+  }
+  if (type === 'general') {
+    const num = parseNumber(value)
+    if (!isNaN(num)) return num
+  }
+  return String(value).toLowerCase()
+}
+
+// Ascending comparison with empty values always last
+export const compareComparable = (a, b) => {
+  if (a === null && b === null) return 0
+  if (a === null) return 1
+  if (b === null) return -1
+  if (typeof a === 'number' && typeof b === 'number') return a - b
+  return String(a).localeCompare(String(b), undefined, { numeric: true })
+}
+
+// Per-column filter: { min, max } for numeric types, { text } otherwise.
+// Empty bounds or text mean "no filter".
+export const matchesColumnFilter = (value, formatted, filter, columnType) => {
+  if (!filter) return true
+
+  if (isNumericType(columnType)) {
+    const hasMin = filter.min !== undefined && filter.min !== ''
+    const hasMax = filter.max !== undefined && filter.max !== ''
+    if (!hasMin && !hasMax) return true
+    const comparable = getComparableValue(value, columnType)
+    if (comparable === null) return false
+    if (hasMin && comparable < parseFloat(filter.min)) return false
+    if (hasMax && comparable > parseFloat(filter.max)) return false
+    return true
+  }
+
+  const text = (filter.text || '').trim().toLowerCase()
+  return !text || String(formatted ?? '').toLowerCase().includes(text)
+}
+
+// Stable multi-key sort on typed raw values. Keys: [{ column, direction: 'asc' | 'desc' }].
+// Empty values sort last whatever the direction.
+export const sortRows = (rows, sortKeys, resolveType) => {
+  if (!rows || sortKeys.length === 0) return rows
+
+  const types = sortKeys.map(key => resolveType(key.column))
+  const decorated = rows.map((row, index) => ({
+    row,
+    index,
+    values: sortKeys.map((key, i) => getComparableValue(row[key.column], types[i]))
+  }))
+
+  decorated.sort((a, b) => {
+    for (let i = 0; i < sortKeys.length; i++) {
+      const valueA = a.values[i]
+      const valueB = b.values[i]
+      const diff = compareComparable(valueA, valueB)
+      if (!diff) continue
+      const keepEmptyLast = valueA === null || valueB === null
+      return sortKeys[i].direction === 'desc' && !keepEmptyLast ? -diff : diff
+    }
+    return a.index - b.index
+  })
+
+  return decorated.map(item => item.row)
+}
@@ -0,0 +1,35 @@
+// Promise wrapper around the table worker. One worker is shared by all tasks
+// and created on first use.
+
+let worker = null
+let nextTaskId = 1
+const pending = new Map()
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('../workers/table-worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = ({ data: { id, progress, result, error } }) => {
+      const task = pending.get(id)
+      if (!task) return
+      if (progress) {
+        task.onProgress?.(progress)
+        return
+      }
+      pending.delete(id)
+      if (error) task.reject(new Error(error))
+      else task.resolve(result)
+    }
+    worker.onerror = (event) => {
+      pending.forEach(task => task.reject(new Error(event.message || 'Table worker failed')))
+      pending.clear()
+    }
+  }
+  return worker
+}
+
+// Run a task from table-worker.js. onProgress receives { label, processed, total }.
+export const runTableTask = (type, payload, onProgress) => new Promise((resolve, reject) => {
+  const id = nextTaskId++
+  pending.set(id, { resolve, reject, onProgress })
+  getWorker().postMessage({ id, type, payload })
+})
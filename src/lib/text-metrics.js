@@ -0,0 +1,41 @@
+// Text measurement without a DOM, so layouts can be computed in the table worker
+
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for ASCII 32–126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+]
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+]
+const DEFAULT_WIDTH = 556
+
+// Width of a string in Helvetica (or Arial, which shares its metrics) at the
+// given font size, in the same unit as the size
+export const measureText = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS
+  let total = 0
+  for (const char of String(text)) {
+    const code = char.charCodeAt(0)
+    total += code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_WIDTH
+  }
+  return (total * size) / 1000
+}
+
+// Longest prefix of text (with an ellipsis) that fits in maxWidth
+export const truncateText = (text, maxWidth, size, bold = false) => {
+  const value = String(text)
+  if (measureText(value, size, bold) <= maxWidth) return value
+  let end = value.length
+  while (end > 0 && measureText(`${value.slice(0, end)}…`, size, bold) > maxWidth) end--
+  return end > 0 ? `${value.slice(0, end)}…` : ''
+}
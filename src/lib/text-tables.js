@@ -0,0 +1,104 @@
+import { getColumnType } from '@/lib/column-types'
+import { formatTableRows } from '@/lib/table-export'
+import { isNumericType } from '@/lib/table-query'
+
+// Plain-text table formats for reports written in Markdown, Quarto, LaTeX or
+// Sphinx. All are built from the same formatted rows as the HTML export, with
+// numeric columns right-aligned.
+
+export const TEXT_TABLE_FORMATS = {
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  latex: { label: 'LaTeX (booktabs)', extension: 'tex', mimeType: 'application/x-tex' },
+  rst: { label: 'reStructuredText', extension: 'rst', mimeType: 'text/x-rst' }
+}
+
+// Length in characters as a monospaced editor shows them
+const textLength = (value) => Array.from(value).length
+
+const pad = (value, width, alignRight) => {
+  const padding = ' '.repeat(Math.max(0, width - textLength(value)))
+  return alignRight ? padding + value : value + padding
+}
+
+// Cells never span lines in these formats
+const singleLine = (value) => String(value ?? '').replace(/\s*[\r\n]+\s*/g, ' ')
+
+const LATEX_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '{': '\\{',
+  '}': '\\}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+  '|': '\\textbar{}',
+  '<': '\\textless{}',
+  '>': '\\textgreater{}'
+}
+
+const escapeLatex = (value) => value.replace(/[\\&%$#_{}~^|<>]/g, char => LATEX_ESCAPES[char])
+
+const columnWidths = (headers, values) => headers.map((header, c) =>
+  values.reduce((max, row) => Math.max(max, textLength(row[c])), textLength(header)))
+
+// GitHub-flavoured pipe table, padded so the source reads as a table too
+const toMarkdown = (headers, values, alignRight) => {
+  const escape = (value) => value.replace(/\|/g, '\\|')
+  const escapedHeaders = headers.map(escape)
+  const escapedValues = values.map(row => row.map(escape))
+  // The separator needs at least three characters per column
+  const widths = columnWidths(escapedHeaders, escapedValues).map(width => Math.max(width, 3))
+  const line = (cells, isHeader) =>
+    `| ${cells.map((cell, c) => pad(cell, widths[c], !isHeader && alignRight[c])).join(' | ')} |`
+  const separator = `| ${widths.map((width, c) => (alignRight[c] ? `${'-'.repeat(width - 1)}:` : `:${'-'.repeat(width - 1)}`)).join(' | ')} |`
+
+  return [line(escapedHeaders, true), separator, ...escapedValues.map(row => line(row, false))].join('\n') + '\n'
+}
+
+const toLatex = (headers, values, alignRight) => {
+  const line = (cells) => `${cells.map(escapeLatex).join(' & ')} \\\\`
+  return [
+    '% Requires \\usepackage{booktabs}',
+    `\\begin{tabular}{${alignRight.map(right => (right ? 'r' : 'l')).join('')}}`,
+    '\\toprule',
+    line(headers),
+    '\\midrule',
+    ...values.map(line),
+    '\\bottomrule',
+    '\\end{tabular}'
+  ].join('\n') + '\n'
+}
+
+// Grid table; '=' marks the end of the header row
+const toRst = (headers, values, alignRight) => {
+  const widths = columnWidths(headers, values)
+  const border = (char) => `+${widths.map(width => char.repeat(width + 2)).join('+')}+`
+  const line = (cells, isHeader) =>
+    `| ${cells.map((cell, c) => pad(cell, widths[c], !isHeader && alignRight[c])).join(' | ')} |`
+
+  return [
+    border('-'),
+    line(headers, true),
+    border('='),
+    ...values.flatMap(row => [line(row, false), border('-')])
+  ].join('\n') + '\n'
+}
+
+const BUILDERS = { markdown: toMarkdown, latex: toLatex, rst: toRst }
+
+// File contents for the table in one of TEXT_TABLE_FORMATS
+export const buildTextTable = (table, format, onProgress) => {
+  const build = BUILDERS[format]
+  if (!build) throw new Error(`Unknown table format: ${format}`)
+
+  const { columns, columnRenames, columnTypes } = table
+  const headers = columns.map(col => singleLine(columnRenames[col] || col))
+  const values = formatTableRows(table, onProgress)
+    .map(formattedRow => columns.map(col => singleLine(formattedRow[columnRenames[col] || col])))
+  const alignRight = columns.map(col => isNumericType(getColumnType(columnTypes, col)))
+
+  return build(headers, values, alignRight)
+}
@@ -0,0 +1,96 @@
+import { parseNumber } from '@/lib/column-types'
+
+// Maximum number of non-empty values inspected per column
+const SAMPLE_SIZE = 200
+
+// Share of sampled values that must match before a type is suggested
+const MATCH_THRESHOLD = 0.9
+
+const DATE_PATTERN = /^(\d{4}-\d{1,2}-\d{1,2}([T ].*)?|\d{1,2}[/.-]\d{1,2}[/.-]\d{4})$/
+const POSTCODE_HEADER = /post\s*code|pcode/i
+const PERCENT_HEADER = /growth|yield|rate|ratio|cagr|occupier|absorption|percent|%|share/i
+const CURRENCY_HEADER = /\$|price|income|rent|value|cost|median(?!.*(age|days))/i
+
+const share = (values, predicate) => values.filter(predicate).length / values.length
+
+// Evenly spaced sample of the column's non-empty values
+const sampleColumn = (rows, column) => {
+  const values = rows
+    .map(row => row[column])
+    .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+    .map(value => String(value).trim())
+
+  if (values.length <= SAMPLE_SIZE) return values
+  const step = values.length / SAMPLE_SIZE
+  return Array.from({ length: SAMPLE_SIZE }, (_, i) => values[Math.floor(i * step)])
+}
+
+// Suggest a column type from sampled values. Returns { type, options, confidence }
+// where confidence is between 0 and 1, or null when the column has no values.
+export const inferColumnType = (column, values) => {
+  if (values.length === 0) return null
+
+  // Small samples can't carry full confidence
+  const sampleWeight = Math.min(1, 0.6 + values.length / 50)
+  const suggest = (type, confidence, options = {}) => ({
+    type,
+    options,
+    confidence: Math.round(confidence * sampleWeight * 100) / 100
+  })
+
+  const dateShare = share(values, value => DATE_PATTERN.test(value))
+  if (dateShare >= MATCH_THRESHOLD) return suggest('date', dateShare)
+
+  const numbers = values.map(parseNumber)
+  const numericShare = share(numbers, num => !isNaN(num))
+  if (numericShare < MATCH_THRESHOLD) return suggest('text', 1 - numericShare)
+
+  const numeric = numbers.filter(num => !isNaN(num))
+  const integerShare = share(numeric, num => Number.isInteger(num))
+
+  // Postcodes: 3-4 digit integers, ideally under a postcode-like header
+  const postcodeShare = share(values, value => /^\d{3,4}$/.test(value))
+  if (postcodeShare >= MATCH_THRESHOLD && numeric.every(num => num >= 200 && num <= 9999)) {
+    if (POSTCODE_HEADER.test(column)) return suggest('postcode', 0.95)
+    if (values.some(value => /^0\d{3}$/.test(value))) return suggest('postcode', 0.7)
+  }
+
+  // Explicit symbols in the data are the strongest signal
+  if (share(values, value => value.includes('%')) >= MATCH_THRESHOLD) {
+    return suggest('percentage', 0.95, { fraction: false })
+  }
+  if (share(values, value => value.includes('$')) >= MATCH_THRESHOLD) {
+    return suggest('currency', 0.95)
+  }
+
+  // Fraction-like values such as 0.0345 for 3.45%
+  const fractionShare = share(numeric, num => Math.abs(num) <= 1.5)
+  if (fractionShare >= MATCH_THRESHOLD && integerShare < 0.5) {
+    return suggest('percentage', PERCENT_HEADER.test(column) ? 0.95 : 0.65, { fraction: true })
+  }
+
+  if (CURRENCY_HEADER.test(column) && share(numeric, num => num >= 100) >= MATCH_THRESHOLD) {
+    return suggest('currency', 0.8)
+  }
+
+  if (integerShare >= MATCH_THRESHOLD) return suggest('integer', integerShare * numericShare)
+
+  return suggest('decimal', numericShare * 0.9)
+}
+
+// Suggest types for every column in a parsed file
+export const inferColumnTypes = (rows, columns) => {
+  const suggestions = {}
+  columns.forEach(column => {
+    const suggestion = inferColumnType(column, sampleColumn(rows, column))
+    if (suggestion) suggestions[column] = suggestion
+  })
+  return suggestions
+}
+
+// Badge text and variant for a confidence score
+export const describeConfidence = (confidence) => {
+  if (confidence >= 0.85) return { label: 'High', variant: 'default' }
+  if (confidence >= 0.6) return { label: 'Medium', variant: 'secondary' }
+  return { label: 'Low', variant: 'outline' }
+}
@@ -0,0 +1,163 @@
+import * as XLSX from 'xlsx'
+
+// The community xlsx build only writes number formats, so cell styling is added
+// after XLSX.write by editing the package's styles.xml and sheet XML directly.
+//
+// Cell style: {
+//   fill: 'RRGGBB',                          solid background
+//   bar: { color: 'RRGGBB', ratio: 0..1 },   left-aligned data bar (sharp gradient)
+//   font: { bold, color: 'RRGGBB' },
+//   border: 'RRGGBB'                         thin border on all sides
+// }
+// Sheets are given in workbook order as { cells, frozenRows }: cells is a Map of
+// cell address ('B3') → style, frozenRows the number of rows kept in view.
+
+const decoder = new TextDecoder()
+const encoder = new TextEncoder()
+
+const readEntry = (cfb, path) => {
+  const entry = XLSX.CFB.find(cfb, path)
+  return entry ? { entry, xml: decoder.decode(entry.content) } : null
+}
+
+const writeEntry = (entry, xml) => {
+  entry.content = encoder.encode(xml)
+  entry.size = entry.content.length
+}
+
+const argb = (rgb) => `FF${rgb.toUpperCase()}`
+
+const fillXml = (style) => {
+  if (style.bar) {
+    // Two stops at the same position give a hard edge where the bar ends
+    const ratio = Math.round(Math.min(1, Math.max(0, style.bar.ratio)) * 1000) / 1000
+    const end = Math.min(1, ratio + 0.001)
+    return `<fill><gradientFill degree="0"><stop position="0"><color rgb="${argb(style.bar.color)}"/></stop>` +
+      `<stop position="${ratio}"><color rgb="${argb(style.bar.color)}"/></stop>` +
+      `<stop position="${end}"><color rgb="${argb(style.fill || 'FFFFFF')}"/></stop>` +
+      `<stop position="1"><color rgb="${argb(style.fill || 'FFFFFF')}"/></stop></gradientFill></fill>`
+  }
+  return `<fill><patternFill patternType="solid"><fgColor rgb="${argb(style.fill)}"/><bgColor indexed="64"/></patternFill></fill>`
+}
+
+const DEFAULT_FONT = '<sz val="12"/><color theme="1"/><name val="Calibri"/><family val="2"/><scheme val="minor"/>'
+
+// The workbook's default font (fonts[0]) with bold and colour applied, so styled
+// cells keep the sheet's size and typeface
+const fontXml = (font, baseFont) => {
+  const base = baseFont.replace(/<b\/>/g, '')
+  const body = font.color ? `<color rgb="${argb(font.color)}"/>${base.replace(/<color [^>]*\/>/, '')}` : base
+  return `<font>${font.bold ? '<b/>' : ''}${body}</font>`
+}
+
+const readBaseFont = (xml) => xml.match(/<fonts count="\d+">\s*<font>([\s\S]*?)<\/font>/)?.[1] ?? DEFAULT_FONT
+
+const borderXml = (color) => {
+  const side = (name) => `<${name} style="thin"><color rgb="${argb(color)}"/></${name}>`
+  return `<border>${side('left')}${side('right')}${side('top')}${side('bottom')}<diagonal/></border>`
+}
+
+// Append an element to a styles.xml collection (fonts, fills, ...) and return its index
+const createCollection = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag} count="(\\d+)">([\\s\\S]*?)</${tag}>`))
+  const items = []
+  return {
+    count: match ? Number(match[1]) : 0,
+    add(itemXml) {
+      items.push(itemXml)
+      return this.count + items.length - 1
+    },
+    apply(source) {
+      if (items.length === 0 || !match) return source
+      return source.replace(match[0], `<${tag} count="${this.count + items.length}">${match[2]}${items.join('')}</${tag}>`)
+    }
+  }
+}
+
+const parseXfs = (xml) => {
+  const block = xml.match(/<cellXfs count="\d+">([\s\S]*?)<\/cellXfs>/)
+  if (!block) return []
+  return [...block[1].matchAll(/<xf ([^>]*?)\/>/g)].map(([, attrs]) =>
+    Object.fromEntries([...attrs.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, value])))
+}
+
+const xfXml = (xf) => `<xf ${Object.entries(xf).map(([key, value]) => `${key}="${value}"`).join(' ')}/>`
+
+// Pane that keeps the top rows in place while scrolling
+const frozenViewXml = (rows) => {
+  const topLeft = `A${rows + 1}`
+  return `<sheetView workbookViewId="0"><pane ySplit="${rows}" topLeftCell="${topLeft}" activePane="bottomLeft" state="frozen"/>` +
+    `<selection pane="bottomLeft" activeCell="${topLeft}" sqref="${topLeft}"/></sheetView>`
+}
+
+// Add cell styles and frozen rows to a written .xlsx. Returns the rewritten
+// file's bytes, or the original buffer when there was nothing to add.
+export const applyXlsxStyles = (buffer, sheets) => {
+  const cfb = XLSX.CFB.read(new Uint8Array(buffer), { type: 'array' })
+  const styles = readEntry(cfb, '/xl/styles.xml')
+  if (!styles) return buffer
+
+  const fonts = createCollection(styles.xml, 'fonts')
+  const fills = createCollection(styles.xml, 'fills')
+  const borders = createCollection(styles.xml, 'borders')
+  const xfs = parseXfs(styles.xml)
+  const baseFont = readBaseFont(styles.xml)
+  const keyed = new Map()
+  const idsFor = (collection, cache, key, build) => {
+    if (!cache.has(key)) cache.set(key, collection.add(build()))
+    return cache.get(key)
+  }
+  const fontIds = new Map()
+  const fillIds = new Map()
+  const borderIds = new Map()
+
+  // xf index for an existing xf (the cell's number format) combined with a style
+  const resolveXf = (baseIndex, style) => {
+    const key = `${baseIndex}|${JSON.stringify(style)}`
+    if (keyed.has(key)) return keyed.get(key)
+
+    const xf = { ...(xfs[baseIndex] || { numFmtId: '0', fontId: '0', fillId: '0', borderId: '0', xfId: '0' }) }
+    if (style.fill || style.bar) {
+      const fillKey = JSON.stringify([style.fill, style.bar])
+      xf.fillId = idsFor(fills, fillIds, fillKey, () => fillXml(style))
+      xf.applyFill = '1'
+    }
+    if (style.font) {
+      xf.fontId = idsFor(fonts, fontIds, JSON.stringify(style.font), () => fontXml(style.font, baseFont))
+      xf.applyFont = '1'
+    }
+    if (style.border) {
+      xf.borderId = idsFor(borders, borderIds, style.border, () => borderXml(style.border))
+      xf.applyBorder = '1'
+    }
+    xfs.push(xf)
+    keyed.set(key, xfs.length - 1)
+    return xfs.length - 1
+  }
+
+  let changed = false
+  sheets.forEach(({ cells, frozenRows } = {}, index) => {
+    if (!cells?.size && !frozenRows) return
+    const sheet = readEntry(cfb, `/xl/worksheets/sheet${index + 1}.xml`)
+    if (!sheet) return
+
+    let xml = sheet.xml.replace(/<c r="([A-Z]+\d+)"([^>]*?)(\/?)>/g, (cell, address, attrs, selfClosing) => {
+      const style = cells?.get(address)
+      if (!style) return cell
+      const current = attrs.match(/ s="(\d+)"/)
+      const xfIndex = resolveXf(current ? Number(current[1]) : 0, style)
+      return `<c r="${address}"${attrs.replace(/ s="\d+"/, '')} s="${xfIndex}"${selfClosing}>`
+    })
+    if (frozenRows) xml = xml.replace(/<sheetView [^>]*?\/>/, frozenViewXml(frozenRows))
+    writeEntry(sheet.entry, xml)
+    changed = true
+  })
+
+  if (!changed) return buffer
+
+  let xml = fills.apply(fonts.apply(borders.apply(styles.xml)))
+  xml = xml.replace(/<cellXfs count="\d+">[\s\S]*?<\/cellXfs>/, `<cellXfs count="${xfs.length}">${xfs.map(xfXml).join('')}</cellXfs>`)
+  writeEntry(styles.entry, xml)
+
+  return XLSX.CFB.write(cfb, { type: 'array', fileType: 'zip', compression: true })
+}
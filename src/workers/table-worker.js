@@ -0,0 +1,77 @@
+import { buildCsv, buildJson } from '@/lib/data-export'
+import { parseCsvFile, readWorkbook, sheetToRows } from '@/lib/file-import'
+import { buildPdfReport } from '@/lib/pdf-report'
+import { buildTableSvg } from '@/lib/table-image'
+import { buildTextTable } from '@/lib/text-tables'
+import {
+  buildClipboardTable,
+  buildExcelSheetStyles,
+  buildExcelWorkbook,
+  buildHtmlDocument,
+  writeExcelWorkbook
+} from '@/lib/table-export'
+
+// Heavy table work kept off the main thread. Messages are { id, type, payload };
+// replies are { id, progress } while running, then { id, result } or { id, error }.
+
+// Workbooks stay here between 'read-workbook' and 'sheet-rows' so only the
+// chosen sheet's rows are sent back
+const workbooks = new Map()
+let nextWorkbookId = 1
+
+const tasks = {
+  'parse-csv': ({ file }, progress) => parseCsvFile(file, progress('Parsing CSV')),
+
+  'read-workbook': async ({ file }, progress) => {
+    progress('Reading workbook')(0, 1)
+    const workbook = await readWorkbook(file)
+    const workbookId = nextWorkbookId++
+    // Only the latest upload can still be waiting for a sheet choice
+    workbooks.clear()
+    workbooks.set(workbookId, workbook)
+    return { workbookId, sheetNames: workbook.SheetNames }
+  },
+
+  'sheet-rows': ({ workbookId, sheetName }, progress) => {
+    const workbook = workbooks.get(workbookId)
+    if (!workbook) throw new Error('Workbook is no longer loaded')
+    workbooks.delete(workbookId)
+    return sheetToRows(workbook, sheetName, progress('Reading sheet'))
+  },
+
+  'build-html': (table, progress) => buildHtmlDocument(table, progress('Building HTML')),
+
+  'build-clipboard': (table, progress) => buildClipboardTable(table, progress('Copying table')),
+
+  'build-text': ({ table, format }, progress) => buildTextTable(table, format, progress('Building table text')),
+
+  'build-csv': ({ table, options }, progress) => buildCsv(table, options, progress('Building CSV')),
+
+  'build-json': ({ table, options }, progress) => buildJson(table, options, progress('Building JSON')),
+
+  'build-xlsx': (table, progress) => {
+    const workbook = buildExcelWorkbook(table, progress('Building workbook'))
+    progress('Writing file')(0, 1)
+    return writeExcelWorkbook(workbook, buildExcelSheetStyles(table))
+  },
+
+  'build-pdf': ({ table, layout }, progress) => {
+    const { bytes, splitColumns } = buildPdfReport(table, layout, progress('Building PDF'))
+    return { buffer: bytes.buffer, splitColumns }
+  },
+
+  'build-svg': ({ table, rowRange }, progress) => buildTableSvg(table, rowRange, progress('Drawing table'))
+}
+
+self.onmessage = async ({ data: { id, type, payload } }) => {
+  const progress = (label) => (processed, total) => self.postMessage({ id, progress: { label, processed, total } })
+
+  try {
+    const result = await tasks[type](payload, progress)
+    const buffer = result instanceof ArrayBuffer ? result : result?.buffer
+    const transfer = buffer instanceof ArrayBuffer ? [buffer] : []
+    self.postMessage({ id, result }, transfer)
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) })
+  }
+}